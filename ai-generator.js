@@ -23,309 +23,109 @@ const readline = require('readline');
 
 const execAsync = util.promisify(exec);
 
-// JSON Schema for YAML presentation structure
-const YAML_SCHEMA = {
-  "$schema": "http://json-schema.org/draft-07/schema#",
+const { LAYOUTS, LAYOUT_TYPES, SLIDE_STYLES, NOTES_SCHEMA, SLIDE_ID_SCHEMA, validateSlideContent } = require('./layouts');
+const { createDiagnostic, formatPath, describeDiagnostic, formatDiagnostic } = require('./diagnostics');
+const { DEFAULT_THEME, isThemePath, loadTheme } = require('./themes');
+const { ValidationError } = require('./errors');
+const PreGenBuilder = require('./build');
+
+// Content schema definitions for each slide type (from the shared layout registry)
+const CONTENT_SCHEMAS = Object.fromEntries(
+  LAYOUT_TYPES.map(type => [type, LAYOUTS[type].contentSchema])
+);
+
+const VISIBLE_TEXT_SCHEMA = {
   "type": "object",
   "properties": {
-    "title": {
-      "type": "string",
-      "description": "Presentation title"
-    },
-    "author": {
-      "type": "string",
-      "description": "Author name"
+    "visible": {
+      "type": "boolean",
+      "description": "Whether text is visible"
     },
-    "date": {
+    "text": {
       "type": "string",
-      "description": "Presentation date (YYYY-MM-DD format)"
-    },
-    "slides": {
-      "type": "array",
-      "description": "Array of slide objects",
-      "items": {
-        "type": "object",
-        "properties": {
-          "type": {
-            "type": "string",
-            "enum": [
-              "title-slide",
-              "section-break", 
-              "text-left",
-              "text-center",
-              "image-full",
-              "image-1",
-              "image-horizontal-2",
-              "image-2x2",
-              "image-text-horizontal",
-              "image-text-vertical",
-              "list",
-              "num-list",
-              "card-2",
-              "card-3",
-              "timeline"
-            ],
-            "description": "Slide layout type"
-          },
-          "style": {
-            "type": "string",
-            "enum": ["black", "white"],
-            "description": "Slide theme (black for impact, white for content)"
-          },
-          "title": {
-            "type": "object",
-            "properties": {
-              "visible": {
-                "type": "boolean",
-                "description": "Whether title is visible"
-              },
-              "text": {
-                "type": "string",
-                "description": "Title text"
-              }
-            },
-            "required": ["visible", "text"],
-            "additionalProperties": false
-          },
-          "subtitle": {
-            "type": "object",
-            "properties": {
-              "visible": {
-                "type": "boolean",
-                "description": "Whether subtitle is visible"
-              },
-              "text": {
-                "type": "string",
-                "description": "Subtitle text"
-              }
-            },
-            "required": ["visible", "text"],
-            "additionalProperties": false
-          },
-          "content": {
-            "type": "object",
-            "description": "Content specific to each slide type",
-            "additionalProperties": true
-          }
-        },
-        "required": ["type", "style"],
-        "additionalProperties": false
-      }
+      "description": "Displayed text"
     }
   },
-  "required": ["title", "slides"],
+  "required": ["visible", "text"],
   "additionalProperties": false
 };
 
-// Content schema definitions for each slide type
-const CONTENT_SCHEMAS = {
-  "title-slide": {
+/**
+ * Create the JSON Schema for structured output - one slide variant per layout, so
+ * structured output carries the exact content schema of each layout
+ * @param {Array<string>} [variantNames] - Slide styles of the deck's theme
+ * @returns {Object} JSON Schema
+ */
+function createYamlSchema(variantNames = SLIDE_STYLES) {
+  return {
+    "$schema": "http://json-schema.org/draft-07/schema#",
     "type": "object",
     "properties": {
+      "title": {
+        "type": "string",
+        "description": "Presentation title"
+      },
       "author": {
-        "type": "object",
-        "properties": {
-          "visible": { "type": "boolean" },
-          "text": { "type": "string" }
-        },
-        "required": ["visible", "text"]
+        "type": "string",
+        "description": "Author name"
       },
       "date": {
-        "type": "object", 
-        "properties": {
-          "visible": { "type": "boolean" },
-          "text": { "type": "string" }
-        },
-        "required": ["visible", "text"]
-      }
-    },
-    "additionalProperties": false
-  },
-  "section-break": {
-    "type": "object",
-    "properties": {
-      "number": { "type": "string" },
-      "title": { "type": "string" }
-    },
-    "required": ["number", "title"],
-    "additionalProperties": false
-  },
-  "text-left": {
-    "type": "object",
-    "properties": {
-      "text": { "type": "string" }
-    },
-    "required": ["text"],
-    "additionalProperties": false
-  },
-  "text-center": {
-    "type": "object",
-    "properties": {
-      "text": { "type": "string" }
-    },
-    "required": ["text"],
-    "additionalProperties": false
-  },
-  "image-full": {
-    "type": "object",
-    "properties": {
-      "image": { "type": "string" }
-    },
-    "additionalProperties": false
-  },
-  "image-1": {
-    "type": "object",
-    "properties": {
-      "image": { "type": "string" }
-    },
-    "additionalProperties": false
-  },
-  "image-horizontal-2": {
-    "type": "object",
-    "properties": {
-      "image1": { "type": "string" },
-      "image2": { "type": "string" }
-    },
-    "additionalProperties": false
-  },
-  "image-2x2": {
-    "type": "object",
-    "properties": {
-      "image1": { "type": "string" },
-      "image2": { "type": "string" },
-      "image3": { "type": "string" },
-      "image4": { "type": "string" }
-    },
-    "additionalProperties": false
-  },
-  "image-text-horizontal": {
-    "type": "object",
-    "properties": {
-      "image": { "type": "string" },
-      "text": { "type": "string" }
-    },
-    "required": ["text"],
-    "additionalProperties": false
-  },
-  "image-text-vertical": {
-    "type": "object",
-    "properties": {
-      "image": { "type": "string" },
-      "text": { "type": "string" }
-    },
-    "required": ["text"],
-    "additionalProperties": false
-  },
-  "list": {
-    "type": "object",
-    "properties": {
-      "items": {
-        "type": "array",
-        "items": { "type": "string" }
-      }
-    },
-    "required": ["items"],
-    "additionalProperties": false
-  },
-  "num-list": {
-    "type": "object",
-    "properties": {
-      "items": {
-        "type": "array",
-        "items": { "type": "string" }
-      }
-    },
-    "required": ["items"],
-    "additionalProperties": false
-  },
-  "card-2": {
-    "type": "object",
-    "properties": {
-      "cards": {
-        "type": "array",
-        "items": {
-          "type": "object",
-          "properties": {
-            "image": { "type": "string" },
-            "title": { "type": "string" },
-            "description": { "type": "string" }
-          },
-          "required": ["title", "description"]
-        },
-        "minItems": 2,
-        "maxItems": 2
-      }
-    },
-    "required": ["cards"],
-    "additionalProperties": false
-  },
-  "card-3": {
-    "type": "object",
-    "properties": {
-      "cards": {
-        "type": "array",
-        "items": {
-          "type": "object",
-          "properties": {
-            "image": { "type": "string" },
-            "title": { "type": "string" },
-            "description": { "type": "string" }
-          },
-          "required": ["title", "description"]
-        },
-        "minItems": 3,
-        "maxItems": 3
-      }
-    },
-    "required": ["cards"],
-    "additionalProperties": false
-  },
-  "timeline": {
-    "type": "object",
-    "properties": {
-      "events": {
+        "type": "string",
+        "description": "Presentation date (YYYY-MM-DD format)"
+      },
+      "slides": {
         "type": "array",
+        "description": "Array of slide objects",
         "items": {
-          "type": "object",
-          "properties": {
-            "time": { "type": "string" },
-            "title": { "type": "string" },
-            "description": { "type": "string" }
-          },
-          "required": ["title", "description"]
+          "anyOf": LAYOUT_TYPES.map(type => ({
+            "type": "object",
+            "properties": {
+              "type": {
+                "type": "string",
+                "enum": [type],
+                "description": "Slide layout type"
+              },
+              "id": SLIDE_ID_SCHEMA,
+              "style": {
+                "type": "string",
+                "enum": variantNames,
+                "description": "Slide theme variant"
+              },
+              "title": VISIBLE_TEXT_SCHEMA,
+              "subtitle": VISIBLE_TEXT_SCHEMA,
+              "content": CONTENT_SCHEMAS[type],
+              "notes": NOTES_SCHEMA
+            },
+            "required": ["type", "style"],
+            "additionalProperties": false
+          }))
         }
       }
     },
-    "required": ["events"],
+    "required": ["title", "slides"],
     "additionalProperties": false
-  }
-};
+  };
+}
 
-// System prompt for AI YAML generation
-const SYSTEM_PROMPT = `You are an expert presentation designer who converts text documents into structured YAML presentations.
+// Structured output schema for the default theme
+const YAML_SCHEMA = createYamlSchema();
+
+/**
+ * Create the system prompt for AI YAML generation
+ * @param {Object} theme - Normalized theme of the generated deck
+ * @returns {string} System prompt
+ */
+function createSystemPrompt(theme) {
+  return `You are an expert presentation designer who converts text documents into structured YAML presentations.
 
 Your task is to analyze the input text and create a professional presentation with the following guidelines:
 
 LAYOUT SELECTION RULES:
-- title-slide: Opening slide with title, subtitle, author, date (always use black theme)
-- section-break: Major section dividers with numbers and titles (use black theme) - MUST include content.number and content.title
-- text-left: Standard text content (use white theme)
-- text-center: Quotes, key statements, important messages (use white theme)
-- image-full: Full-screen impact images (any theme)
-- image-1: Single centered image (any theme)
-- image-horizontal-2: Two images side by side (any theme)
-- image-2x2: Four images in grid (any theme)
-- image-text-horizontal: Image left, text right (any theme)
-- image-text-vertical: Image top, text bottom (any theme)
-- list: Bullet points (use white theme)
-- num-list: Numbered lists (use white theme)
-- card-2: Two feature cards (use white theme)
-- card-3: Three feature cards (use white theme)
-- timeline: Horizontal timeline events (use white theme)
+${LAYOUT_TYPES.map(type => `- ${type}: ${LAYOUTS[type].guidance}`).join('\n')}
 
-THEME SELECTION:
-- black: High-impact slides (title-slide, section-break, dramatic moments)
-- white: Content slides (text, lists, cards, most layouts)
+THEME SELECTION (style field):
+${theme.variantNames.map(name => `- ${name}: ${theme.variants[name].mode} background`).join('\n')}
+- Use dark variants for high-impact slides (title-slide, section-break, dramatic moments) and light variants for content slides (text, lists, cards, most layouts)
 
 CONTENT GUIDELINES:
 - Extract key information and organize into logical slides
@@ -333,9 +133,14 @@ CONTENT GUIDELINES:
 - Create engaging titles and subtitles
 - For images, use relative paths from project root (e.g., "input/folder/image.jpg", "assets/image.jpg", "sample/images/image.jpg")
 - Only use image layouts if you have specific image content to display
+- Write every image (image fields and card images) as an object with src and alt: { src: "input/folder/image.jpg", alt: "..." }. Infer the alt text from the file name and the surrounding slide content - describe what the image shows and why it is on the slide, in the language of the presentation, in one short sentence
+- Add a caption (and credit for the source or photographer) only when the input text provides one
 - Prefer text-based layouts for abstract concepts and explanations
 - Maintain professional presentation flow
 - Balance text density across slides
+- Text fields support inline Markdown: **bold**, *italic*, ~~strikethrough~~, \`code\` and [links](https://example.com); separate paragraphs in content.text with a blank line
+- Give section-break slides a short unique id slug (e.g. "pricing") so they can be linked as #/pricing
+- Add speaker notes in each slide's notes field: talking points and details that support the slide but do not belong on it
 
 STRUCTURE:
 - Always start with title-slide
@@ -344,6 +149,7 @@ STRUCTURE:
 - End with impactful conclusion or call-to-action
 
 Generate a complete YAML presentation that transforms the input text into a professional, engaging presentation.`;
+}
 
 /**
  * Generate YAML presentation with retry logic and error recovery
@@ -367,7 +173,7 @@ async function generateYAMLWithRetry(inputText, options = {}, projectData = null
       const result = await generateYAML(inputText, options, projectData, lastErrors, lastWarnings);
       
       // Validate generated YAML
-      const validationResult = validateYAMLStructure(result.generatedData);
+      const validationResult = validateYAMLStructure(result.generatedData, options);
       
       if (validationResult.valid) {
         console.log('✅ Validation successful!');
@@ -381,7 +187,7 @@ async function generateYAMLWithRetry(inputText, options = {}, projectData = null
       // If this is the last attempt, don't prompt for retry
       if (attempt >= maxAttempts) {
         console.log(`\n❌ Maximum attempts (${maxAttempts}) reached.`);
-        throw new Error(`Validation failed after ${maxAttempts} attempts:\n${lastErrors.join('\n')}`);
+        throw new Error(`Validation failed after ${maxAttempts} attempts:\n${lastErrors.map(formatDiagnostic).join('\n')}`);
       }
       
       // Prompt user for retry (only if retry-on-error is enabled)
@@ -389,11 +195,11 @@ async function generateYAMLWithRetry(inputText, options = {}, projectData = null
         const shouldRetry = await promptUserRetry(lastErrors, lastWarnings, attempt);
         if (!shouldRetry) {
           console.log('🛑 User cancelled retry.');
-          throw new Error(`User cancelled after ${attempt} attempt(s). Last errors:\n${lastErrors.join('\n')}`);
+          throw new Error(`User cancelled after ${attempt} attempt(s). Last errors:\n${lastErrors.map(formatDiagnostic).join('\n')}`);
         }
       } else {
         // If retry-on-error is not enabled, fail immediately
-        throw new Error(`Validation failed:\n${lastErrors.join('\n')}`);
+        throw new Error(`Validation failed:\n${lastErrors.map(formatDiagnostic).join('\n')}`);
       }
       
       // Add exponential backoff
@@ -449,6 +255,9 @@ Get your API key from: https://platform.openai.com/api-keys`);
       apiKey: process.env.OPENAI_API_KEY
     });
 
+    // Styles are limited to the variants of the deck's theme, as in the build
+    const theme = loadTheme(options.theme || DEFAULT_THEME);
+
     console.log('🔧 Building contextual prompt...');
     
     // Build project context if available
@@ -466,7 +275,7 @@ For image layouts (image-full, image-1, image-horizontal-2, image-2x2, image-tex
     // Add error context if this is a retry
     const errorContext = formatErrorsForAI(previousErrors, previousWarnings);
     
-    const contextualPrompt = `${SYSTEM_PROMPT}${projectContext}${errorContext}
+    const contextualPrompt = `${createSystemPrompt(theme)}${projectContext}${errorContext}
 
 INPUT TEXT TO CONVERT:
 ${inputText}
@@ -490,20 +299,27 @@ ${projectData && projectData.assets && projectData.assets.length > 0 ?
         type: "json_schema",
         json_schema: {
           name: "presentation_yaml",
-          schema: YAML_SCHEMA
+          schema: createYamlSchema(theme.variantNames)
         }
       }
     });
 
-    const generatedData = JSON.parse(response.choices[0].message.content);
+    const { slides, ...metadata } = JSON.parse(response.choices[0].message.content);
+    // The deck names its theme so the build checks styles against the same variants;
+    // theme paths in a deck are relative to the deck file in content/
+    const generatedData = options.theme ? {
+      ...metadata,
+      theme: isThemePath(options.theme) ? path.relative('content', options.theme) : options.theme,
+      slides
+    } : { ...metadata, slides };
     
     console.log('✅ AI generation successful!');
     console.log(`📊 Generated ${generatedData.slides.length} slides`);
     
     // Validate generated YAML matches specification
-    const validationResult = validateYAMLStructure(generatedData);
+    const validationResult = validateYAMLStructure(generatedData, options);
     if (!validationResult.valid) {
-      throw new Error(`Generated YAML validation failed: ${validationResult.errors.join(', ')}`);
+      throw new Error(`Generated YAML validation failed: ${validationResult.errors.map(formatDiagnostic).join(', ')}`);
     }
 
     // Convert to YAML format
@@ -558,144 +374,39 @@ ${projectData && projectData.assets && projectData.assets.length > 0 ?
 }
 
 /**
- * Validate YAML structure against schema with detailed error reporting
+ * Validate generated YAML the way the build does: the deck schema with the theme's
+ * variants as styles, then the per-layout content checks
  * @param {Object} data - YAML data to validate
- * @returns {Object} Validation result with detailed errors and warnings
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.theme] - Theme name or absolute theme path of the deck (defaults to the default theme)
+ * @returns {Object} Validation result with error and warning diagnostics (see diagnostics.js)
  */
-function validateYAMLStructure(data) {
-  const errors = [];
-  const warnings = [];
-  
-  // Basic structure validation
-  if (!data.title || typeof data.title !== 'string') {
-    errors.push('Missing or invalid title');
-  }
-  
-  if (!data.slides || !Array.isArray(data.slides)) {
-    errors.push('Missing or invalid slides array');
-  }
+function validateYAMLStructure(data, options = {}) {
+  const builder = new PreGenBuilder({ silent: true, theme: options.theme });
   
-  // Validate each slide with detailed content validation
-  if (data.slides) {
-    data.slides.forEach((slide, index) => {
-      const slideNumber = index + 1;
-      
-      if (!slide.type || !YAML_SCHEMA.properties.slides.items.properties.type.enum.includes(slide.type)) {
-        errors.push(`Slide ${slideNumber}: Invalid or missing type`);
-      }
-      
-      if (!slide.style || !['black', 'white'].includes(slide.style)) {
-        errors.push(`Slide ${slideNumber}: Invalid or missing style`);
-      }
-      
-      // Detailed content validation based on slide type
-      try {
-        validateSlideContent(slide, slideNumber, errors, warnings);
-      } catch (error) {
-        errors.push(`Slide ${slideNumber}: Content validation failed - ${error.message}`);
-      }
-    });
-  }
-  
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings
-  };
-}
-
-/**
- * Validate content structure based on slide type (extracted from build.js)
- * @param {Object} slide - Slide data to validate
- * @param {number} slideNumber - Slide number for error reporting  
- * @param {Array} errors - Array to collect validation errors
- * @param {Array} warnings - Array to collect validation warnings
- */
-function validateSlideContent(slide, slideNumber, errors, warnings) {
-  const { type, content, title } = slide;
-  
-  switch (type) {
-    case 'title-slide':
-      if (!title?.text && !content?.author?.text && !content?.date?.text) {
-        warnings.push(`Slide ${slideNumber}: Title slide has no visible content (title, author, or date)`);
-      }
-      break;
-      
-    case 'section-break':
-      if (!content?.number && !content?.title) {
-        warnings.push(`Slide ${slideNumber}: Section break missing number and title`);
-      }
-      break;
-      
-    case 'text-left':
-    case 'text-center':
-      if (!content?.text || content.text.trim() === '') {
-        errors.push(`Slide ${slideNumber}: Text layout requires content.text field`);
-      }
-      break;
-      
-    case 'image-full':
-    case 'image-1':
-      if (!content?.image) {
-        errors.push(`Slide ${slideNumber}: Image layout requires content.image field`);
-      }
-      break;
-      
-    case 'image-horizontal-2':
-      if (!content?.image1 || !content?.image2) {
-        errors.push(`Slide ${slideNumber}: Image horizontal layout requires content.image1 and content.image2 fields`);
-      }
-      break;
-      
-    case 'image-2x2':
-      const requiredImages = ['image1', 'image2', 'image3', 'image4'];
-      const missingImages = requiredImages.filter(img => !content?.[img]);
-      if (missingImages.length > 0) {
-        errors.push(`Slide ${slideNumber}: 2x2 layout missing required images: ${missingImages.join(', ')}`);
-      }
-      break;
-      
-    case 'image-text-horizontal':
-    case 'image-text-vertical':
-      if (!content?.image) {
-        errors.push(`Slide ${slideNumber}: Image-text layout requires content.image field`);
-      }
-      if (!content?.text || content.text.trim() === '') {
-        errors.push(`Slide ${slideNumber}: Image-text layout requires content.text field`);
-      }
-      break;
-      
-    case 'list':
-    case 'num-list':
-      if (!content?.items || !Array.isArray(content.items) || content.items.length === 0) {
-        errors.push(`Slide ${slideNumber}: List layout requires content.items array`);
-      }
-      break;
-      
-    case 'card-2':
-      if (!content?.cards || !Array.isArray(content.cards) || content.cards.length !== 2) {
-        errors.push(`Slide ${slideNumber}: Card-2 layout requires exactly 2 cards`);
-      }
-      break;
-      
-    case 'card-3':
-      if (!content?.cards || !Array.isArray(content.cards) || content.cards.length !== 3) {
-        errors.push(`Slide ${slideNumber}: Card-3 layout requires exactly 3 cards`);
-      }
-      break;
-      
-    case 'timeline':
-      if (!content?.events || !Array.isArray(content.events) || content.events.length === 0) {
-        errors.push(`Slide ${slideNumber}: Timeline layout requires content.events array`);
-      }
-      break;
+  try {
+    const presentationData = builder.normalizePresentation(data, 'generated deck');
+    const { warnings } = builder.validatePresentationData(presentationData, 'generated deck');
+    return { valid: true, errors: [], warnings };
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    
+    // Theme failures carry no diagnostics of their own
+    const diagnostics = error.diagnostics.length > 0 ?
+      error.diagnostics :
+      [createDiagnostic('error', 'deck/invalid', error.message)];
+    return {
+      valid: false,
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity !== 'error')
+    };
   }
 }
 
 /**
  * Format validation errors for AI consumption
- * @param {Array} errors - Array of validation error messages
- * @param {Array} warnings - Array of validation warning messages
+ * @param {Array} errors - Error diagnostics
+ * @param {Array} warnings - Warning diagnostics
  * @returns {string} Formatted error context for AI prompt
  */
 function formatErrorsForAI(errors, warnings) {
@@ -708,14 +419,14 @@ function formatErrorsForAI(errors, warnings) {
   if (errors.length > 0) {
     errorContext += `VALIDATION ERRORS (must fix):\n`;
     errors.forEach((error, index) => {
-      errorContext += `${index + 1}. ${error}\n`;
+      errorContext += `${index + 1}. ${formatDiagnosticForAI(error)}\n`;
     });
   }
   
   if (warnings.length > 0) {
     errorContext += `\nVALIDATION WARNINGS (should improve):\n`;
     warnings.forEach((warning, index) => {
-      errorContext += `${index + 1}. ${warning}\n`;
+      errorContext += `${index + 1}. ${formatDiagnosticForAI(warning)}\n`;
     });
   }
   
@@ -724,12 +435,27 @@ function formatErrorsForAI(errors, warnings) {
   errorContext += `- Required content fields are present for each layout type\n`;
   errorContext += `- Text fields are strings, not arrays or objects\n`;
   errorContext += `- Image paths reference actual available assets\n`;
+  errorContext += `- Every image has alt text describing what it shows\n`;
   errorContext += `- Card arrays have the correct number of items\n`;
   errorContext += `- List and timeline layouts have proper item arrays\n`;
   
   return errorContext;
 }
 
+/**
+ * Describe a diagnostic for the AI, with its rule id and the field path to fix
+ * @param {Object|string} diagnostic - Diagnostic from validateYAMLStructure
+ * @returns {string} Diagnostic line
+ */
+function formatDiagnosticForAI(diagnostic) {
+  if (typeof diagnostic === 'string') {
+    return diagnostic;
+  }
+  
+  const field = diagnostic.path.length > 0 ? ` (at ${formatPath(diagnostic.path)})` : '';
+  return `[${diagnostic.ruleId}] ${describeDiagnostic(diagnostic)}${field}`;
+}
+
 /**
  * Prompt user for retry confirmation
  * @param {Array} errors - Array of validation errors
@@ -750,14 +476,14 @@ async function promptUserRetry(errors, warnings, attempt) {
     if (errors.length > 0) {
       console.log('❌ ERRORS:');
       errors.forEach((error, index) => {
-        console.log(`   ${index + 1}. ${error}`);
+        console.log(`   ${index + 1}. ${formatDiagnostic(error)}`);
       });
     }
     
     if (warnings.length > 0) {
       console.log('⚠️  WARNINGS:');
       warnings.forEach((warning, index) => {
-        console.log(`   ${index + 1}. ${warning}`);
+        console.log(`   ${index + 1}. ${formatDiagnostic(warning)}`);
       });
     }
     
@@ -899,7 +625,9 @@ function validateImagePaths(yamlData) {
     imageFields.forEach(field => {
       if (slide.content[field]) {
         const images = Array.isArray(slide.content[field]) ? slide.content[field] : [slide.content[field]];
-        images.forEach(imagePath => {
+        images.forEach(image => {
+          // Image fields hold a path or an image object with the path in src
+          const imagePath = typeof image === 'string' ? image : image?.src;
           // Only warn for suspicious paths, not valid local paths
           if (imagePath && !imagePath.startsWith('http') && !imagePath.startsWith('data:') && 
               !imagePath.startsWith('input/') && !imagePath.startsWith('assets/') && 
@@ -914,12 +642,13 @@ function validateImagePaths(yamlData) {
     // Check cards for images
     if (slide.content.cards) {
       slide.content.cards.forEach((card, cardIndex) => {
+        const imagePath = typeof card.image === 'string' ? card.image : card.image?.src;
         // Only warn for suspicious paths, not valid local paths
-        if (card.image && !card.image.startsWith('http') && !card.image.startsWith('data:') && 
-            !card.image.startsWith('input/') && !card.image.startsWith('assets/') && 
-            !card.image.startsWith('sample/') && !card.image.startsWith('references/') &&
-            !card.image.includes('.jpg') && !card.image.includes('.png') && !card.image.includes('.webp')) {
-          warnings.push(`Slide ${index + 1}, Card ${cardIndex + 1}: Image path '${card.image}' may need verification`);
+        if (imagePath && !imagePath.startsWith('http') && !imagePath.startsWith('data:') && 
+            !imagePath.startsWith('input/') && !imagePath.startsWith('assets/') && 
+            !imagePath.startsWith('sample/') && !imagePath.startsWith('references/') &&
+            !imagePath.includes('.jpg') && !imagePath.includes('.png') && !imagePath.includes('.webp')) {
+          warnings.push(`Slide ${index + 1}, Card ${cardIndex + 1}: Image path '${imagePath}' may need verification`);
         }
       });
     }
@@ -939,11 +668,12 @@ async function main() {
 AI-Powered YAML Generation System
 
 Usage:
-  node ai-generator.js --input <project> [--output <filename>] [--auto-build] [--retry-on-error]
+  node ai-generator.js --input <project> [--output <filename>] [--theme <theme>] [--auto-build] [--retry-on-error]
 
 Options:
   --input <project>   Project directory name in input/ folder (e.g., 'pregen', 'sample-presentation')
   --output <filename> Output YAML filename (default: <project>.yaml)
+  --theme <theme>     Theme name or path of the deck; styles are chosen from its variants
   --auto-build        Automatically build presentation after generation
   --retry-on-error    Enable automatic retry with error correction (max 3 attempts)
   --help, -h          Show this help message
@@ -988,6 +718,11 @@ Setup:
         options.output = args[i + 1];
         i++;
         break;
+      case '--theme':
+        // Theme paths are relative to the working directory
+        options.theme = isThemePath(args[i + 1] || '') ? path.resolve(args[i + 1]) : args[i + 1];
+        i++;
+        break;
       case '--auto-build':
         options.autoBuild = true;
         break;
@@ -1054,5 +789,6 @@ module.exports = {
   scanAssetsDirectory,
   validateImagePaths,
   YAML_SCHEMA,
-  CONTENT_SCHEMAS
+  CONTENT_SCHEMAS,
+  createYamlSchema
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Incremental Build Cache
+ *
+ * Each built deck keeps a manifest next to its index.html with content hashes of
+ * everything the output depends on: the deck YAML, the builder version and sources,
+ * the theme and every referenced image. A deck whose manifest still matches is skipped, and
+ * images whose source is unchanged are not copied again. The manifest also lists
+ * the files the build wrote, so pruning can tell current output from leftovers.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { version } = require('./package.json');
+
+const MANIFEST_FILE = '.build-manifest.json';
+
+// Builder modules that shape the generated HTML and assets. Their hash is part of the
+// manifest, so switching to a different builder rebuilds every deck even though the
+// package version did not change.
+const BUILDER_SOURCES = ['build.js', 'build-cache.js', 'layouts.js', 'rich-text.js', 'themes.js'];
+
+/**
+ * Hash a string or buffer
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash a file's content
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string|null>} SHA-256 hex digest, or null if the file does not exist
+ */
+async function hashFile(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+let builderHash = null;
+
+/**
+ * Hash the builder's own sources (computed once per process)
+ * @returns {string} SHA-256 hex digest
+ */
+function getBuilderHash() {
+  if (!builderHash) {
+    const imageModules = fs.readdirSync(__dirname).filter(file => /^image-.*\.js$/.test(file)).sort();
+    const hash = crypto.createHash('sha256');
+    for (const file of [...BUILDER_SOURCES, ...imageModules]) {
+      hash.update(`${file}\0`).update(fs.readFileSync(path.join(__dirname, file)));
+    }
+    builderHash = hash.digest('hex');
+  }
+  return builderHash;
+}
+
+/**
+ * Create the manifest of a deck build
+ * @param {Object} inputs - Build inputs
+ * @param {string} inputs.yamlContent - Source YAML
+ * @param {Object} inputs.theme - Resolved theme
+ * @param {Object} inputs.assets - Source image hash (null when missing) keyed by image reference
+ * @param {boolean} inputs.singleFile - Whether the deck is built as one self-contained file
+ * @param {Array<string>} inputs.files - Files the build writes, relative to the deck directory
+ * @returns {Object} Manifest
+ */
+function createManifest({ yamlContent, theme, assets, singleFile, files }) {
+  return {
+    builderVersion: version,
+    builder: getBuilderHash(),
+    singleFile: Boolean(singleFile),
+    yaml: hashContent(yamlContent),
+    theme: hashContent(JSON.stringify(theme)),
+    assets,
+    files
+  };
+}
+
+/**
+ * Read a deck's manifest
+ * @param {string} presentationDir - Built deck directory
+ * @returns {Promise<Object|null>} Manifest, or null if there is none or it is unreadable
+ */
+async function readManifest(presentationDir) {
+  try {
+    return await fs.readJson(path.join(presentationDir, MANIFEST_FILE));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a deck's manifest
+ * @param {string} presentationDir - Built deck directory
+ * @param {Object} manifest - Manifest from createManifest()
+ * @returns {Promise<void>}
+ */
+async function writeManifest(presentationDir, manifest) {
+  await fs.writeJson(path.join(presentationDir, MANIFEST_FILE), manifest, { spaces: 2 });
+}
+
+/**
+ * Remove a deck's manifest, so an interrupted or failed build is never mistaken for an up-to-date one
+ * @param {string} presentationDir - Built deck directory
+ * @returns {Promise<void>}
+ */
+async function removeManifest(presentationDir) {
+  await fs.remove(path.join(presentationDir, MANIFEST_FILE));
+}
+
+/**
+ * Check whether two manifests describe the same build
+ * @param {Object|null} previous - Manifest of the last build
+ * @param {Object} current - Manifest of the build about to run
+ * @returns {boolean} True if nothing the output depends on has changed
+ */
+function isUnchanged(previous, current) {
+  if (!previous) return false;
+
+  const previousAssets = previous.assets || {};
+  const refs = Object.keys(current.assets);
+
+  return previous.builderVersion === current.builderVersion &&
+    previous.builder === current.builder &&
+    previous.singleFile === current.singleFile &&
+    previous.yaml === current.yaml &&
+    previous.theme === current.theme &&
+    refs.length === Object.keys(previousAssets).length &&
+    refs.every(ref => previousAssets[ref] === current.assets[ref]);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  hashFile,
+  createManifest,
+  readManifest,
+  writeManifest,
+  removeManifest,
+  isUnchanged
+};
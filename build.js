@@ -2,18 +2,186 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
 const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { parseDocument, LineCounter, isMap } = require('yaml');
+const { LAYOUT_TYPES, SLIDE_STYLES, NOTES_SCHEMA, SLIDE_ID_SCHEMA, getLayout, getImageFields, getImageSources, validateSlideContent, validateSlideIds, getTimelineEvent } = require('./layouts');
+const { escapeHtml, escapeAttribute, renderRichText, renderRichTextBlock, toPlainText, decodeEntities } = require('./rich-text');
+const { THEMES_DIR, DEFAULT_THEME, isThemePath, loadTheme, resolveSlideVariant, variantClass, showsLogo, generateThemeCSS } = require('./themes');
+const { ValidationError, IoError, UsageError } = require('./errors');
+const { createDiagnostic, formatPath, formatDiagnostic } = require('./diagnostics');
+const { IMAGE_SLOTS, VARIANT_FORMATS, isResizable, getImageWidth, cropImage, planVariants, writeVariants } = require('./image-variants');
+const { getImageSource, getImageRef, getImageOptions, getImageStyle } = require('./image-options');
+const { DEFAULT_ASPECT_RATIO, createPlaceholderSvg } = require('./image-placeholders');
+const { hashContent, hashFile, createManifest, readManifest, writeManifest, removeManifest, isUnchanged } = require('./build-cache');
+const PdfExporter = require('./pdf-exporter');
+const PptxExporter = require('./pptx-exporter');
+
+// Export formats and the exporter class writing each
+const EXPORTERS = {
+  pdf: PdfExporter,
+  pptx: PptxExporter
+};
+
+// Hex digits of the content hash in asset file names
+const ASSET_HASH_LENGTH = 8;
+
+// MIME types of images inlined as data URIs in single-file output
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+/**
+ * Print a progress event to the console - the default reporter of the CLI
+ * @param {Object} event - Structured progress event
+ */
+function printEvent(event) {
+  if (event.level === 'error') {
+    console.error(event.message);
+  } else {
+    console.log(event.message);
+  }
+}
+
+/**
+ * Run async tasks on a pool of workers, at most `limit` at a time
+ * @param {Array} items - Work items, started in order
+ * @param {number} limit - Number of workers
+ * @param {Function} task - async (item, index) => result; a rejection rejects the pool
+ * @param {Function} [shouldStop] - Once it returns true, no further items are started
+ * @returns {Promise<Array>} Results in item order (undefined for items never started)
+ */
+async function runPool(items, limit, task, shouldStop = () => false) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Format a duration for logs
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} e.g. "850ms" or "1.42s"
+ */
+function formatDuration(durationMs) {
+  return durationMs < 1000 ? `${durationMs}ms` : `${(durationMs / 1000).toFixed(2)}s`;
+}
+
+/**
+ * List the image URLs an HTML document loads: <img> src and every <source> srcset candidate
+ * @param {string} html - Generated HTML
+ * @returns {Array<string>} Unique URLs, attribute entities decoded
+ */
+function collectImageSources(html) {
+  const sources = new Set();
+  
+  for (const [, src] of html.matchAll(/<img\b[^>]*?\ssrc="([^"]*)"/g)) {
+    sources.add(decodeEntities(src));
+  }
+  for (const [, srcset] of html.matchAll(/<source\b[^>]*?\ssrcset="([^"]*)"/g)) {
+    decodeEntities(srcset).split(',').forEach(candidate => sources.add(candidate.trim().split(/\s+/)[0]));
+  }
+  
+  return [...sources].filter(Boolean);
+}
+
+/**
+ * Builds decks from YAML. Progress is reported as structured 'event' events
+ * ({ type, level, message, ...details }), printed to the console unless the builder is silent.
+ */
+class PreGenBuilder extends EventEmitter {
+  /**
+   * @param {Object} options - Builder options
+   * @param {string} [options.rootDir] - Project root that relative image references resolve from
+   * @param {string} [options.contentDir] - Directory holding deck YAML files
+   * @param {string} [options.outputDir] - Directory built decks are written to
+   * @param {string} [options.sampleDir] - Directory "sample/..." image references resolve from
+   * @param {string} [options.themesDir] - Directory holding named themes
+   * @param {string} [options.exportsDir] - Directory PDF and PowerPoint exports are written to
+   * @param {string} [options.theme] - Theme name or path (relative to rootDir) used for every deck instead of the deck's own theme
+   * @param {boolean} [options.singleFile] - Write each deck as one self-contained HTML file
+   * @param {number} [options.concurrency] - Decks built (and images copied per deck) at once, defaults to the CPU count
+   * @param {boolean} [options.force] - Rebuild every deck and image even if its build manifest is up to date
+   * @param {boolean} [options.strict] - Fail decks referencing missing images instead of showing placeholders
+   * @param {boolean} [options.silent] - Only emit events, without printing them to the console
+   */
+  constructor(options = {}) {
+    super();
+    this.singleFile = Boolean(options.singleFile);
+    this.rootDir = options.rootDir || __dirname;
+    this.contentDir = options.contentDir || path.join(this.rootDir, 'content');
+    this.presentationsDir = options.outputDir || path.join(this.rootDir, 'presentations');
+    this.sampleDir = options.sampleDir || path.join(this.rootDir, 'sample');
+    this.themesDir = options.themesDir || THEMES_DIR;
+    this.exportsDir = options.exportsDir || path.join(this.rootDir, 'exports');
+    this.themeOverride = options.theme || null;
+    this.concurrency = options.concurrency || os.availableParallelism?.() || os.cpus().length || 1;
+    this.force = Boolean(options.force);
+    this.strict = Boolean(options.strict);
+    
+    if (!options.silent) {
+      this.on('event', printEvent);
+    }
+  }
 
-class PreGenBuilder {
-  constructor() {
-    this.contentDir = path.join(__dirname, 'content');
-    this.presentationsDir = path.join(__dirname, 'presentations');
-    this.sampleDir = path.join(__dirname, 'sample');
+  /**
+   * Report progress as a structured event
+   * @param {string} type - Event type, e.g. "deck:built"
+   * @param {string} level - info, warning or error
+   * @param {string} message - Human readable message, as printed by the console reporter
+   * @param {Object} [details] - Structured event data, e.g. the deck name
+   */
+  report(type, level, message, details = {}) {
+    this.emit('event', { type, level, message, ...details });
+  }
+
+  /**
+   * Create the state of one deck's build or render. Every step of the deck receives it
+   * explicitly, so decks built or rendered concurrently never see each other's images or events.
+   * @param {Object} [options] - Context options
+   * @param {Function} [options.report] - Reports the deck's events, with report()'s arguments (defaults to report())
+   * @returns {Object} { report, assetPaths, imageVariants, inlineImages } - assets paths and variants keyed
+   *   by image reference, data URIs of single-file output keyed by assets path
+   */
+  createRenderContext(options = {}) {
+    return {
+      report: options.report || ((...args) => this.report(...args)),
+      assetPaths: new Map(),
+      imageVariants: new Map(),
+      inlineImages: new Map()
+    };
   }
 
-  async build() {
+  /**
+   * Build decks from the content directory
+   * @param {Array<string>} [deckNames] - Decks to build (all decks when empty)
+   * @param {Object} [options] - Build options
+   * @param {boolean} [options.continueOnError] - Keep building after a deck fails and summarize every deck at the end
+   * @returns {Promise<Array>} One { deck, status, warnings, errors, error } result per deck; rejects when a deck fails to build
+   */
+  async build(deckNames = [], options = {}) {
     try {
-      console.log('🚀 Starting PreGen-Minimal build process...');
+      this.report('build:start', 'info', '🚀 Starting PreGen-Minimal build process...');
       
       // Pre-build system checks
       await this.performSystemChecks();
@@ -21,38 +189,587 @@ class PreGenBuilder {
       // Ensure presentations directory exists
       await fs.ensureDir(this.presentationsDir);
       
-      // Read all YAML files from content directory
-      const yamlFiles = await this.getYamlFiles();
+      // Read the selected YAML files from content directory
+      const yamlFiles = await this.selectYamlFiles(deckNames);
       
       if (yamlFiles.length === 0) {
-        console.log('📁 No YAML files found in content directory');
-        return;
+        this.report('build:empty', 'info', '📁 No YAML files found in content directory');
+        return [];
       }
       
-      console.log(`📄 Found ${yamlFiles.length} YAML file(s): ${yamlFiles.map(f => path.basename(f)).join(', ')}`);
+      this.report('build:decks', 'info', `📄 Found ${yamlFiles.length} YAML file(s): ${yamlFiles.map(f => path.basename(f)).join(', ')}`, {
+        files: yamlFiles
+      });
+      
+      // Build decks on a worker pool; without continue-on-error no new deck starts after a failure
+      const startTime = Date.now();
+      let failed = false;
+      const results = (await runPool(yamlFiles, this.concurrency, async yamlFile => {
+        const result = await this.buildDeck(yamlFile);
+        failed = failed || Boolean(result.error);
+        return result;
+      }, () => failed && !options.continueOnError)).filter(Boolean);
       
-      // Process each YAML file
-      for (const yamlFile of yamlFiles) {
-        await this.processYamlFile(yamlFile);
+      this.reportMissingImages(results);
+      
+      if (!options.continueOnError && failed) {
+        throw results.find(result => result.error).error;
+      }
+      
+      if (options.continueOnError) {
+        this.reportBuildSummary(results);
+      }
+      
+      const failures = results.filter(result => result.error);
+      if (failures.length > 0) {
+        throw new AggregateError(failures.map(result => result.error), `${failures.length} of ${results.length} deck(s) failed to build`);
       }
       
-      console.log('✅ Build process completed successfully!');
-      console.log('🌐 Run "npm run preview" to view presentations');
+      const durationMs = Date.now() - startTime;
+      const unchanged = results.filter(result => result.status === 'unchanged').length;
+      this.report('build:done', 'info', [
+        `⏱️  Built ${results.length} deck(s) in ${formatDuration(durationMs)} (${unchanged} unchanged, concurrency ${this.concurrency})`,
+        '✅ Build process completed successfully!',
+        '🌐 Run "npm run preview" to view presentations'
+      ].join('\n'), { durationMs, unchanged, concurrency: this.concurrency });
+      
+      return results;
       
     } catch (error) {
-      console.error('❌ Build process failed:', error.message);
+      this.report('build:failed', 'error', `❌ Build process failed: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Build one deck, collecting its warning and error counts instead of throwing.
+   * The deck builds with its own render context: its events are buffered and emitted together
+   * once it finishes, so decks built concurrently never interleave their output.
+   * @param {string} yamlFilePath - Path to the deck YAML
+   * @returns {Promise<Object>} { deck, status, warnings, errors, missingImages, durationMs, error } with status "built", "unchanged" or "failed"
+   */
+  async buildDeck(yamlFilePath) {
+    const deck = path.basename(yamlFilePath, path.extname(yamlFilePath));
+    const startTime = Date.now();
+    const events = [];
+    
+    const context = this.createRenderContext({
+      report: (type, level, message, details = {}) => {
+        events.push({ type, level, message, deck, ...details });
+      }
+    });
+    
+    let error = null;
+    try {
+      await this.processYamlFile(yamlFilePath, { context });
+    } catch (deckError) {
+      error = deckError;
+    }
+    
+    const durationMs = Date.now() - startTime;
+    let status = 'built';
+    if (error) {
+      status = 'failed';
+    } else if (events.some(event => event.type === 'deck:unchanged')) {
+      status = 'unchanged';
+    }
+    // Validation warnings arrive as one event carrying every diagnostic
+    const warnings = events
+      .filter(event => event.level === 'warning')
+      .reduce((total, event) => total + (event.diagnostics ? event.diagnostics.length : 1), 0);
+    const errors = error ? error.diagnostics?.filter(diagnostic => diagnostic.severity === 'error').length || 1 : 0;
+    const missingImages = events
+      .filter(event => event.type === 'asset:missing')
+      .map(({ ref, sourcePath, slides }) => ({ ref, sourcePath, slides }));
+    
+    events.forEach(event => this.emit('event', event));
+    this.report('deck:timing', 'info', `⏱️  ${deck} ${status} in ${formatDuration(durationMs)}`, { deck, status, durationMs });
+    
+    return { deck, status, warnings, errors, missingImages, durationMs, error };
+  }
+
+  /**
+   * List every missing image of a build, which the decks show as placeholders
+   * @param {Array} results - Results of buildDeck()
+   */
+  reportMissingImages(results) {
+    const missing = results.flatMap(result => result.missingImages.map(image => ({ deck: result.deck, ...image })));
+    if (missing.length === 0) return;
+    
+    this.report('build:missing-images', 'warning', [
+      `\n🖼️  ${missing.length} missing image(s) shown as placeholders (use --strict to fail instead):`,
+      ...missing.map(image => {
+        const slides = image.slides.length > 0 ? ` - slide(s) ${image.slides.join(', ')}` : '';
+        return `   ${image.deck}: ${image.ref}${slides}`;
+      })
+    ].join('\n'), { images: missing });
+  }
+
+  /**
+   * Report the per-deck table of a continue-on-error build
+   * @param {Array} results - Results of buildDeck()
+   */
+  reportBuildSummary(results) {
+    const failed = results.filter(result => result.status === 'failed').length;
+    const warnings = results.reduce((total, result) => total + result.warnings, 0);
+    const nameWidth = Math.max('Deck'.length, ...results.map(result => result.deck.length));
+    const statusLabels = { built: '✅ built', unchanged: '⏭️ unchanged', failed: '❌ failed' };
+    
+    const rows = results.map(result => [
+      result.deck.padEnd(nameWidth),
+      statusLabels[result.status].padEnd(12),
+      String(result.warnings).padStart(8),
+      String(result.errors).padStart(6),
+      formatDuration(result.durationMs).padStart(7)
+    ].join('  '));
+    
+    this.report('build:summary', failed > 0 ? 'error' : 'info', [
+      '\n📊 Build Summary:',
+      `   ${'Deck'.padEnd(nameWidth)}  ${'Status'.padEnd(12)}  Warnings  Errors     Time`,
+      ...rows.map(row => `   ${row}`),
+      `   ${results.length} deck(s): ${results.length - failed} succeeded, ${failed} failed, ${warnings} warning(s)`
+    ].join('\n'), {
+      results: results.map(({ deck, status, warnings: deckWarnings, errors, durationMs }) => ({ deck, status, warnings: deckWarnings, errors, durationMs })),
+      succeeded: results.length - failed,
+      failed,
+      warnings
+    });
+  }
+
+  /**
+   * Remove output no deck produces any more: folders of decks whose YAML is gone, and
+   * asset files the deck's last build no longer referenced. Only output with a build
+   * manifest is touched, so folders the builder did not write are kept.
+   * @param {Object} [options] - Prune options
+   * @param {boolean} [options.dryRun] - Only list what would be removed
+   * @returns {Promise<Array>} One { deck, path, reason } entry per removed (or removable) path
+   */
+  async prune(options = {}) {
+    const { dryRun = false } = options;
+    this.report('prune:start', 'info', `🧹 Pruning ${path.relative(process.cwd(), this.presentationsDir) || '.'}${dryRun ? ' (dry run)' : ''}...`, { dryRun });
+    
+    const decks = new Set((await this.getYamlFiles()).map(file => path.basename(file, path.extname(file))));
+    const entries = await fs.pathExists(this.presentationsDir) ? await fs.readdir(this.presentationsDir, { withFileTypes: true }) : [];
+    const orphans = [];
+    
+    for (const entry of entries.filter(dirEntry => dirEntry.isDirectory())) {
+      const deck = entry.name;
+      const presentationDir = path.join(this.presentationsDir, deck);
+      const manifest = await readManifest(presentationDir);
+      
+      if (!decks.has(deck)) {
+        if (manifest) {
+          orphans.push({ deck, path: presentationDir, reason: 'deck-removed' });
+        } else {
+          this.report('prune:kept', 'info', `⏭️  Kept ${path.relative(process.cwd(), presentationDir)}/ - no deck YAML, but no build manifest either`, { deck, path: presentationDir });
+        }
+        continue;
+      }
+      
+      // Manifests from before file tracking don't list the deck's files
+      if (!manifest?.files) continue;
+      
+      const assetsDir = path.join(presentationDir, 'assets');
+      const assetFiles = await fs.pathExists(assetsDir) ? await fs.readdir(assetsDir) : [];
+      assetFiles
+        .filter(file => !manifest.files.includes(`assets/${file}`))
+        .forEach(file => orphans.push({ deck, path: path.join(assetsDir, file), reason: 'asset-unreferenced' }));
+    }
+    
+    for (const orphan of orphans) {
+      const displayPath = path.relative(process.cwd(), orphan.path) + (orphan.reason === 'deck-removed' ? '/' : '');
+      const why = orphan.reason === 'deck-removed' ? `no ${orphan.deck}.yaml in content` : `no longer used by ${orphan.deck}`;
+      
+      if (dryRun) {
+        this.report('prune:orphan', 'info', `🔍 Would remove ${displayPath} (${why})`, orphan);
+      } else {
+        await fs.remove(orphan.path);
+        this.report('prune:removed', 'info', `🗑️  Removed ${displayPath} (${why})`, orphan);
+      }
+    }
+    
+    let summary = `✅ Removed ${orphans.length} stale path(s)`;
+    if (orphans.length === 0) {
+      summary = '✅ Nothing to prune';
+    } else if (dryRun) {
+      summary = `📝 ${orphans.length} stale path(s) would be removed - run without --dry-run to remove them`;
+    }
+    this.report('prune:done', 'info', summary, { dryRun, count: orphans.length });
+    
+    return orphans;
+  }
+  
+  /**
+   * Validate decks without writing any output
+   * @param {Array<string>} [deckNames] - Decks to validate (all decks when empty)
+   * @returns {Promise<Array>} One { deck, file, valid, diagnostics, error } result per deck
+   */
+  async validateDecks(deckNames = []) {
+    const yamlFiles = await this.selectYamlFiles(deckNames);
+    const results = [];
+    
+    for (const yamlFile of yamlFiles) {
+      const deck = path.basename(yamlFile, path.extname(yamlFile));
+      const file = path.relative(process.cwd(), yamlFile);
+      this.report('deck:start', 'info', `🔍 Validating ${deck}...`, { deck });
       
-      // Enhanced error reporting with recovery suggestions
-      this.reportBuildFailure(error);
-      process.exit(1);
+      try {
+        const yamlContent = await fs.readFile(yamlFile, 'utf8');
+        const presentationData = this.parsePresentation(yamlContent, yamlFile);
+        const { warnings } = this.validatePresentationData(presentationData, deck);
+        const missingImages = await this.validateImageFiles(presentationData, deck, warnings);
+        results.push({ deck, file, valid: true, diagnostics: [...warnings, ...missingImages], error: null });
+      } catch (error) {
+        // I/O failures are not validation results
+        if (!(error instanceof ValidationError)) throw error;
+        
+        // Theme failures carry no diagnostics of their own
+        const diagnostics = error.diagnostics.length > 0 ?
+          error.diagnostics :
+          [createDiagnostic('error', 'deck/invalid', error.message, { file })];
+        
+        this.report('deck:invalid', 'error', `❌ ${deck} is invalid: ${error.message}`, { deck, error });
+        results.push({ deck, file, valid: false, diagnostics, error });
+      }
+    }
+    
+    const invalidCount = results.filter(result => !result.valid).length;
+    this.report('validate:done', invalidCount > 0 ? 'error' : 'info', invalidCount > 0 ?
+      `❌ ${invalidCount} of ${results.length} deck(s) failed validation` :
+      `✅ ${results.length} deck(s) valid`, { decks: results.length, invalid: invalidCount });
+    
+    return results;
+  }
+
+  /**
+   * Check that the images a deck references exist. Missing images are warnings, as the
+   * build shows placeholders for them, and errors in strict mode, where the build fails.
+   * @param {Object} presentationData - Validated presentation data
+   * @param {string} deck - Deck name for reporting
+   * @param {Array} warnings - Warnings already reported for the deck, kept with a strict mode failure
+   * @returns {Promise<Array>} Missing image warnings
+   */
+  async validateImageFiles(presentationData, deck, warnings) {
+    const missingImages = [];
+    for (const image of this.collectPresentationImages(presentationData)) {
+      if (!(await fs.pathExists(this.resolveImageSourcePath(image.src)))) missingImages.push(image);
+    }
+    
+    const diagnostics = this.locateDiagnostics(
+      this.createMissingImageDiagnostics(presentationData, missingImages, this.strict ? 'error' : 'warning'),
+      presentationData.source
+    );
+    
+    if (this.strict && diagnostics.length > 0) {
+      this.reportValidationResults(diagnostics, [], deck);
+      const errorSummary = `Validation failed for ${deck} with ${diagnostics.length} error(s):\n${diagnostics.map(e => `  • ${formatDiagnostic(e)}`).join('\n')}`;
+      throw new ValidationError(errorSummary, [...warnings, ...diagnostics]);
+    }
+    
+    this.reportValidationResults([], diagnostics, deck);
+    return diagnostics;
+  }
+
+  /**
+   * List the decks in the content directory with their metadata
+   * @returns {Promise<Array>} One { deck, file, title, slides, theme, error } entry per deck
+   */
+  async listDecks() {
+    const yamlFiles = await this.getYamlFiles();
+    
+    return Promise.all(yamlFiles.map(async yamlFile => {
+      const deck = path.basename(yamlFile, path.extname(yamlFile));
+      
+      try {
+        const data = yaml.load(await fs.readFile(yamlFile, 'utf8'), { schema: yaml.CORE_SCHEMA }) || {};
+        return {
+          deck,
+          file: yamlFile,
+          title: typeof data.title === 'string' ? data.title : '',
+          slides: Array.isArray(data.slides) ? data.slides.length : 0,
+          theme: typeof data.theme === 'string' ? data.theme : DEFAULT_THEME,
+          error: null
+        };
+      } catch (error) {
+        // Listing never fails on a broken deck - "validate" reports the details
+        return { deck, file: yamlFile, title: '', slides: 0, theme: null, error: error.reason || error.message };
+      }
+    }));
+  }
+
+  /**
+   * Create a new deck in the content directory from a starter template
+   * @param {string} deckName - Deck name (YAML file name without extension)
+   * @param {Object} [options] - Deck options
+   * @param {string} [options.title] - Presentation title (defaults to the deck name)
+   * @param {string} [options.theme] - Theme name or path written to the deck
+   * @returns {Promise<string>} Path of the created YAML file
+   */
+  async createDeck(deckName, options = {}) {
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9_-]*$/.test(deckName || '')) {
+      throw new UsageError(`Invalid deck name: "${deckName || ''}" - use letters, digits, "-" and "_"`);
+    }
+    
+    const yamlFile = path.join(this.contentDir, `${deckName}.yaml`);
+    if (await fs.pathExists(yamlFile)) {
+      throw new UsageError(`Deck already exists: ${yamlFile}`);
+    }
+    
+    const title = options.title || deckName;
+    const deck = {
+      title,
+      author: 'Author',
+      date: new Date().toISOString().slice(0, 10),
+      // Theme paths in a deck are relative to the deck file
+      ...(options.theme ? { theme: isThemePath(options.theme) ? path.relative(this.contentDir, path.resolve(options.theme)) : options.theme } : {}),
+      slides: [
+        {
+          type: 'title-slide',
+          // Other slides take their style from the theme's layout defaults
+          ...(options.theme ? {} : { style: 'black' }),
+          title: { visible: true, text: title },
+          subtitle: { visible: true, text: 'Subtitle' },
+          content: {}
+        },
+        {
+          type: 'section-break',
+          id: 'introduction',
+          content: { number: '01', title: 'Introduction' }
+        },
+        {
+          type: 'list',
+          title: { visible: true, text: 'Agenda' },
+          content: { items: ['First point', 'Second point', 'Third point'] },
+          notes: 'Speaker notes for this slide'
+        }
+      ]
+    };
+    
+    await fs.ensureDir(this.contentDir);
+    await fs.writeFile(yamlFile, yaml.dump(deck, { quotingType: "'", lineWidth: -1 }));
+    
+    this.report('deck:created', 'info', `✅ Created ${path.relative(process.cwd(), yamlFile)} - edit it and run "node build.js build ${deckName}"`, {
+      deck: deckName,
+      file: yamlFile
+    });
+    
+    return yamlFile;
+  }
+
+  /**
+   * Build decks and export them to PDF (one 16:9 page per slide) or PowerPoint
+   * @param {string} format - Export format: pdf or pptx
+   * @param {Array<string>} [deckNames] - Decks to export (all decks when empty)
+   * @returns {Promise<Array>} Exported files with page counts
+   */
+  async exportDecks(format, deckNames = []) {
+    const Exporter = EXPORTERS[format];
+    if (!Exporter) {
+      throw new UsageError(`Unknown export format: ${format || '(none)'}. Supported formats: ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    
+    this.report('export:start', 'info', `📄 Exporting presentations to ${format.toUpperCase()}...`, { format });
+    
+    await this.performSystemChecks();
+    const yamlFiles = await this.selectYamlFiles(deckNames);
+    await fs.ensureDir(this.exportsDir);
+    
+    const exporter = new Exporter();
+    const results = [];
+    
+    try {
+      for (const yamlFile of yamlFiles) {
+        // Export from a fresh build so the export always matches the YAML
+        // Exporters read images from assets/, so always build the folder layout
+        const context = this.createRenderContext();
+        const presentationData = await this.processYamlFile(yamlFile, { singleFile: false, context });
+        
+        const deckName = path.basename(yamlFile, path.extname(yamlFile));
+        const presentationDir = path.join(this.presentationsDir, deckName);
+        const outputPath = path.join(this.exportsDir, `${deckName}.${format}`);
+        
+        const result = await exporter.exportDeck({
+          presentationData,
+          htmlPath: path.join(presentationDir, 'index.html'),
+          // Images come from the deck's copied assets, as in the HTML
+          resolveImage: image => path.join(presentationDir, this.convertToAssetsPath(image, context))
+        }, outputPath);
+        
+        this.report('deck:exported', 'info', `✅ Exported ${path.relative(process.cwd(), outputPath)} (${result.pages} ${format === 'pdf' ? 'page' : 'slide'}(s))`, {
+          deck: deckName,
+          format,
+          outputPath,
+          pages: result.pages
+        });
+        result.warnings.forEach(warning => {
+          this.report('export:warning', 'warning', `⚠️  ${deckName}.${format}: ${warning}`, { deck: deckName, format, outputPath });
+        });
+        results.push(result);
+      }
+    } finally {
+      await exporter.close();
+    }
+    
+    return results;
+  }
+
+  /**
+   * Watch content YAML files and the images each deck references, rebuilding only the affected deck
+   * @returns {Promise<void>} Resolves once the initial build is done and watchers are active
+   */
+  async watch() {
+    this.report('watch:start', 'info', '👀 Starting PreGen-Minimal watch mode...');
+    
+    // System checks run once per session, not on every rebuild
+    await this.performSystemChecks();
+    await fs.ensureDir(this.presentationsDir);
+    
+    this.deckDependencies = new Map(); // YAML path -> Set of image source paths
+    this.imageDirWatchers = new Map(); // Image directory -> fs.FSWatcher
+    this.pendingRebuilds = new Map(); // YAML path -> debounce timer
+    this.rebuildQueue = Promise.resolve();
+    
+    // Initial build of every deck so dependencies are known
+    const yamlFiles = await this.getYamlFiles();
+    for (const yamlFile of yamlFiles) {
+      await this.rebuildDeck(yamlFile);
+    }
+    
+    this.contentWatcher = fs.watch(this.contentDir, (eventType, file) => {
+      if (file && (file.endsWith('.yaml') || file.endsWith('.yml'))) {
+        this.scheduleRebuild(path.join(this.contentDir, file));
+      }
+    });
+    
+    this.report('watch:ready', 'info', `👀 Watching ${this.contentDir} and ${this.imageDirWatchers.size} image folder(s) - press Ctrl+C to stop`, {
+      contentDir: this.contentDir,
+      imageDirs: [...this.imageDirWatchers.keys()]
+    });
+  }
+
+  /**
+   * Stop all watchers started by watch()
+   */
+  stopWatching() {
+    if (this.contentWatcher) {
+      this.contentWatcher.close();
+      this.contentWatcher = null;
+    }
+    
+    if (this.imageDirWatchers) {
+      this.imageDirWatchers.forEach(watcher => watcher.close());
+      this.imageDirWatchers.clear();
+    }
+    
+    if (this.pendingRebuilds) {
+      this.pendingRebuilds.forEach(timer => clearTimeout(timer));
+      this.pendingRebuilds.clear();
+    }
+  }
+
+  /**
+   * Debounce and queue a deck rebuild - editors often emit several events per save
+   * @param {string} yamlFilePath - YAML file of the deck to rebuild
+   */
+  scheduleRebuild(yamlFilePath) {
+    clearTimeout(this.pendingRebuilds.get(yamlFilePath));
+    
+    this.pendingRebuilds.set(yamlFilePath, setTimeout(() => {
+      this.pendingRebuilds.delete(yamlFilePath);
+      // Serialize rebuilds so log output of two decks never interleaves. A failed rebuild is
+      // reported and the queue continues, so later changes are still rebuilt.
+      this.rebuildQueue = this.rebuildQueue
+        .then(() => this.rebuildDeck(yamlFilePath))
+        .catch(error => {
+          this.report('watch:error', 'error', `❌ Rebuilding ${path.basename(yamlFilePath)} failed: ${error.message}`, {
+            deck: path.basename(yamlFilePath, path.extname(yamlFilePath)),
+            error
+          });
+        });
+    }, 100));
+  }
+
+  /**
+   * Rebuild a single deck and refresh its watched image dependencies.
+   * Errors are reported but never thrown, so the watch process keeps running.
+   * @param {string} yamlFilePath - YAML file of the deck to rebuild
+   */
+  async rebuildDeck(yamlFilePath) {
+    if (!(await fs.pathExists(yamlFilePath))) {
+      this.report('watch:removed', 'info', `🗑️  ${path.basename(yamlFilePath)} was removed - no longer watching its images`, {
+        deck: path.basename(yamlFilePath, path.extname(yamlFilePath))
+      });
+      this.deckDependencies.delete(yamlFilePath);
+      this.updateImageWatchers();
+      return;
+    }
+    
+    try {
+      const presentationData = await this.processYamlFile(yamlFilePath);
+      this.deckDependencies.set(yamlFilePath, this.getDeckDependencies(presentationData));
+      this.updateImageWatchers();
+    } catch (error) {
+      // processYamlFile already reported the failure; keep the previous dependencies
+      this.report('watch:waiting', 'info', `👀 Fix ${path.basename(yamlFilePath)} and save to rebuild`, {
+        deck: path.basename(yamlFilePath, path.extname(yamlFilePath))
+      });
     }
   }
 
+  /**
+   * Resolve the source paths of every file a deck is built from besides its YAML:
+   * referenced images (the theme logo is one of them) and the theme file
+   * @param {Object} presentationData - Normalized presentation data
+   * @returns {Set<string>} Absolute source paths
+   */
+  getDeckDependencies(presentationData) {
+    const images = this.collectPresentationImages(presentationData);
+    const dependencies = new Set(images.map(image => this.resolveImageSourcePath(image.src)));
+    dependencies.add(presentationData.theme.path);
+    
+    return dependencies;
+  }
+
+  /**
+   * Watch exactly the directories that hold images and themes referenced by any deck.
+   * Directories are watched instead of files so replace-on-save editors keep working.
+   */
+  updateImageWatchers() {
+    const neededDirs = new Set();
+    this.deckDependencies.forEach(imagePaths => {
+      imagePaths.forEach(imagePath => neededDirs.add(path.dirname(imagePath)));
+    });
+    
+    // Close watchers for directories no deck references anymore
+    this.imageDirWatchers.forEach((watcher, dir) => {
+      if (!neededDirs.has(dir)) {
+        watcher.close();
+        this.imageDirWatchers.delete(dir);
+      }
+    });
+    
+    neededDirs.forEach(dir => {
+      if (this.imageDirWatchers.has(dir) || !fs.existsSync(dir)) return;
+      
+      const watcher = fs.watch(dir, (eventType, file) => {
+        if (!file) return;
+        const changedPath = path.join(dir, file);
+        this.deckDependencies.forEach((imagePaths, yamlFilePath) => {
+          if (imagePaths.has(changedPath)) {
+            this.report('watch:changed', 'info', `🖼️  ${path.relative(this.rootDir, changedPath)} changed`, { file: changedPath });
+            this.scheduleRebuild(yamlFilePath);
+          }
+        });
+      });
+      this.imageDirWatchers.set(dir, watcher);
+    });
+  }
+
   /**
    * Perform comprehensive system checks before build process
    */
   async performSystemChecks() {
-    console.log('🔍 Performing system checks...');
+    this.report('checks:start', 'info', '🔍 Performing system checks...');
     const checks = [];
     
     // Check if content directory exists
@@ -64,25 +781,6 @@ class PreGenBuilder {
       });
     }
     
-    // Check if sample directory exists for fallback images
-    if (!(await fs.pathExists(this.sampleDir))) {
-      checks.push({ 
-        type: 'warning', 
-        message: `Sample directory not found: ${this.sampleDir}`,
-        solution: 'Create sample/ directory with sample images for fallbacks'
-      });
-    } else {
-      // Check for sample image
-      const sampleImagePath = path.join(this.sampleDir, 'images', 'sample_image.jpg');
-      if (!(await fs.pathExists(sampleImagePath))) {
-        checks.push({ 
-          type: 'warning', 
-          message: `Sample image not found: ${sampleImagePath}`,
-          solution: 'Add sample_image.jpg to sample/images/ for image fallbacks'
-        });
-      }
-    }
-    
     // Check Node.js modules
     try {
       require('js-yaml');
@@ -114,23 +812,27 @@ class PreGenBuilder {
     const warnings = checks.filter(c => c.type === 'warning');
     
     if (warnings.length > 0) {
-      console.log(`⚠️  ${warnings.length} system warning(s):`);
-      warnings.forEach(w => console.log(`   ${w.message} - ${w.solution}`));
+      this.report('checks:warnings', 'warning', [
+        `⚠️  ${warnings.length} system warning(s):`,
+        ...warnings.map(w => `   ${w.message} - ${w.solution}`)
+      ].join('\n'), { checks: warnings });
     }
     
     if (errors.length > 0) {
-      console.log(`❌ ${errors.length} system error(s):`);
-      errors.forEach(e => console.log(`   ${e.message} - ${e.solution}`));
-      throw new Error(`System checks failed with ${errors.length} error(s)`);
+      this.report('checks:errors', 'error', [
+        `❌ ${errors.length} system error(s):`,
+        ...errors.map(e => `   ${e.message} - ${e.solution}`)
+      ].join('\n'), { checks: errors });
+      throw new IoError(`System checks failed with ${errors.length} error(s)`);
     }
     
     if (warnings.length === 0 && errors.length === 0) {
-      console.log('✅ All system checks passed');
+      this.report('checks:passed', 'info', '✅ All system checks passed');
     }
   }
   
   /**
-   * Report build failure with enhanced error information and recovery suggestions
+   * Print a build failure report with recovery suggestions (used by the CLI)
    * @param {Error} error - The error that caused the build failure
    */
   reportBuildFailure(error) {
@@ -138,19 +840,20 @@ class PreGenBuilder {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     
     // Categorize error types
-    if (error.message.includes('YAML')) {
+    const missingImages = error.diagnostics?.some(diagnostic => diagnostic.ruleId === 'asset/missing');
+    if (!missingImages && (error instanceof ValidationError || error.message.includes('YAML'))) {
       console.log('🔍 Error Type: YAML Configuration Issue');
       console.log('💡 Suggestions:');
       console.log('   • Check YAML syntax and indentation');
       console.log('   • Verify all required fields are present');
       console.log('   • Validate slide types against supported layouts');
       console.log('   • Ensure content matches the slide type requirements');
-    } else if (error.message.includes('Image') || error.message.includes('asset')) {
+    } else if (missingImages || error.message.includes('Image') || error.message.includes('asset')) {
       console.log('🔍 Error Type: Asset/Image Issue');
       console.log('💡 Suggestions:');
       console.log('   • Check if referenced image files exist');
       console.log('   • Verify image file paths are correct');
-      console.log('   • Ensure sample/ directory contains fallback images');
+      console.log('   • Build without --strict to show placeholders for missing images');
       console.log('   • Check file permissions for image files');
     } else if (error.message.includes('permission') || error.message.includes('EACCES')) {
       console.log('🔍 Error Type: File Permission Issue');
@@ -187,11 +890,33 @@ class PreGenBuilder {
       .map(file => path.join(this.contentDir, file));
   }
 
+  /**
+   * Get the YAML files of the named decks
+   * @param {Array<string>} deckNames - Deck names (YAML file names without extension); all decks when empty
+   * @returns {Promise<Array<string>>} YAML file paths
+   */
+  async selectYamlFiles(deckNames) {
+    const yamlFiles = await this.getYamlFiles();
+    const deckNameOf = file => path.basename(file, path.extname(file));
+    
+    if (deckNames.length === 0) {
+      return yamlFiles;
+    }
+    
+    const unknownDecks = deckNames.filter(name => !yamlFiles.some(file => deckNameOf(file) === name));
+    if (unknownDecks.length > 0) {
+      throw new UsageError(`Deck(s) not found in ${this.contentDir}: ${unknownDecks.join(', ')}. Available decks: ${yamlFiles.map(deckNameOf).join(', ')}`);
+    }
+    
+    return yamlFiles.filter(file => deckNames.includes(deckNameOf(file)));
+  }
+
   /**
    * Get comprehensive JSON schema for YAML validation
+   * @param {Array<string>} [variantNames] - Slide styles declared by the deck's theme
    * @returns {Object} JSON Schema for presentation YAML
    */
-  getPresentationSchema() {
+  getPresentationSchema(variantNames = SLIDE_STYLES) {
     return {
       type: "object",
       properties: {
@@ -208,6 +933,11 @@ class PreGenBuilder {
           type: "string", 
           description: "Presentation date"
         },
+        theme: {
+          type: "string",
+          minLength: 1,
+          description: "Theme name (themes/<name>.yaml) or path to a theme file"
+        },
         slides: {
           type: "array",
           minItems: 1,
@@ -216,17 +946,13 @@ class PreGenBuilder {
             type: "object",
             properties: {
               type: {
-                enum: [
-                  "title-slide", "section-break", "text-left", "text-center",
-                  "image-full", "image-1", "image-horizontal-2", "image-2x2",
-                  "image-text-horizontal", "image-text-vertical",
-                  "list", "num-list", "card-2", "card-3", "timeline"
-                ],
+                enum: LAYOUT_TYPES,
                 description: "Slide layout type"
               },
+              id: SLIDE_ID_SCHEMA,
               style: {
-                enum: ["black", "white"],
-                description: "Slide theme style"
+                enum: variantNames,
+                description: "Slide theme variant"
               },
               title: {
                 type: "object",
@@ -247,11 +973,21 @@ class PreGenBuilder {
               content: {
                 type: "object",
                 description: "Slide content varies by type"
-                // Note: Content validation is layout-specific, handled separately
-              }
+              },
+              notes: NOTES_SCHEMA
             },
             required: ["type"],
-            additionalProperties: false
+            additionalProperties: false,
+            // Layout-specific content schemas from the shared layout registry
+            allOf: LAYOUT_TYPES.map(type => ({
+              if: {
+                properties: { type: { const: type } },
+                required: ["type"]
+              },
+              then: {
+                properties: { content: getLayout(type).contentSchema }
+              }
+            }))
           }
         }
       },
@@ -259,560 +995,1189 @@ class PreGenBuilder {
       additionalProperties: false
     };
   }
+
+  /**
+   * Get the compiled JSON Schema validator (compiled once per set of theme variants)
+   * @param {Array<string>} [variantNames] - Slide styles declared by the deck's theme
+   * @returns {Function} Ajv validate function
+   */
+  getSchemaValidator(variantNames = SLIDE_STYLES) {
+    this.schemaValidators = this.schemaValidators || new Map();
+    const cacheKey = variantNames.join('|');
+    
+    if (!this.schemaValidators.has(cacheKey)) {
+      // verbose adds the failing schema to errors, so anyOf failures can name their alternatives
+      const ajv = new Ajv({ allErrors: true, verbose: true });
+      this.schemaValidators.set(cacheKey, ajv.compile(this.getPresentationSchema(variantNames)));
+    }
+    return this.schemaValidators.get(cacheKey);
+  }
   
   /**
    * Validate YAML data against JSON schema
    * @param {Object} data - Parsed YAML data
    * @param {string} filename - File name for error reporting
-   * @returns {Object} Validation result with errors and warnings
+   * @param {string} [yamlContent] - Raw YAML content, used to locate errors by line and column
+   * @param {Object} [theme] - Normalized deck theme, whose variants are the valid slide styles
+   * @returns {Object} Validation result with error and warning diagnostics
    */
-  validateYamlSchema(data, filename) {
-    const schema = this.getPresentationSchema();
+  validateYamlSchema(data, filename, yamlContent = null, theme = null) {
     const errors = [];
     const warnings = [];
     
     // Basic type validation
-    if (!data || typeof data !== 'object') {
-      errors.push('YAML root must be an object');
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(createDiagnostic('error', 'yaml/root-type', 'YAML root must be an object', { file: filename }));
       return { errors, warnings };
     }
     
-    // Required fields validation
-    if (!data.slides) {
-      errors.push('Missing required "slides" field');
-    } else if (!Array.isArray(data.slides)) {
-      errors.push('Field "slides" must be an array');
-    } else if (data.slides.length === 0) {
-      errors.push('Field "slides" must contain at least one slide');
+    const validate = this.getSchemaValidator(theme ? theme.variantNames : SLIDE_STYLES);
+    if (!validate(data)) {
+      const locator = yamlContent ? this.createYamlLocator(yamlContent) : null;
+      // The plain type mismatch of one anyOf alternative, e.g. a number where text or { html } is expected
+      const isAlternativeTypeError = error => error.keyword === 'type' && /\/anyOf\/\d+\/type$/.test(error.schemaPath);
+      // Errors inside an alternative, e.g. in the object form of a "string or object" field
+      const hasAlternativeErrors = anyOfError => validate.errors.some(error =>
+        error.schemaPath.startsWith(`${anyOfError.schemaPath}/`) && !isAlternativeTypeError(error) &&
+        `${error.instancePath}/`.startsWith(`${anyOfError.instancePath}/`));
+      
+      validate.errors
+        // "if" failures only repeat the nested "then" errors
+        .filter(error => error.keyword !== 'if')
+        // Type mismatches of anyOf alternatives are summed up by the anyOf error, e.g. "must be text or { html }"
+        .filter(error => !isAlternativeTypeError(error))
+        // When the object form of an anyOf field has errors, the anyOf summary only repeats them
+        .filter(error => !(error.keyword === 'anyOf' && hasAlternativeErrors(error)))
+        .map(error => {
+          const instancePath = this.parseInstancePath(error.instancePath);
+          const slideIndex = instancePath[0] === 'slides' && typeof instancePath[1] === 'number' ? instancePath[1] : null;
+          const location = locator ? locator(instancePath, error) : null;
+          
+          // An anyOf error left after filtering is a value of none of the expected types
+          const ruleId = error.keyword === 'anyOf' ? 'schema/type' : `schema/${error.keyword}`;
+          return createDiagnostic('error', ruleId, this.formatSchemaError(instancePath, error), {
+            file: filename,
+            line: location?.line,
+            column: location?.column,
+            slideIndex,
+            slideType: slideIndex !== null ? data.slides[slideIndex]?.type : null,
+            path: instancePath
+          });
+        })
+        // Report in document order so editors can step through errors top to bottom
+        .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0))
+        .forEach(diagnostic => errors.push(diagnostic));
     }
     
     // Optional field validation with warnings
-    if (!data.title || data.title.trim() === '') {
-      warnings.push('Missing or empty "title" field');
-    }
+    ['title', 'author', 'date'].forEach(field => {
+      if (typeof data[field] !== 'string' || data[field].trim() === '') {
+        warnings.push(createDiagnostic('warning', 'deck/metadata', `Missing or empty "${field}" field`, { file: filename, path: [field] }));
+      }
+    });
     
-    if (!data.author || data.author.trim() === '') {
-      warnings.push('Missing or empty "author" field');
+    return { errors, warnings };
+  }
+
+  /**
+   * Convert an Ajv JSON Pointer into path segments
+   * @param {string} instancePath - JSON Pointer such as "/slides/2/content/text"
+   * @returns {Array<string|number>} Path segments with numeric array indexes
+   */
+  parseInstancePath(instancePath) {
+    if (!instancePath) {
+      return [];
     }
     
-    if (!data.date || data.date.trim() === '') {
-      warnings.push('Missing or empty "date" field');
+    return instancePath
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+  }
+
+  /**
+   * Turn an Ajv error into a readable message with the field path (relative to the slide for slide fields)
+   * @param {Array<string|number>} instancePath - Path segments of the offending value
+   * @param {Object} error - Ajv error object
+   * @returns {string} Human readable error message
+   */
+  formatSchemaError(instancePath, error) {
+    const fieldPath = instancePath[0] === 'slides' && typeof instancePath[1] === 'number' ?
+      instancePath.slice(2) :
+      instancePath;
+    
+    const field = formatPath(fieldPath);
+    const subject = field ? `"${field}"` : 'Slide';
+    
+    switch (error.keyword) {
+      case 'required':
+        return `Missing required field "${field ? `${field}.` : ''}${error.params.missingProperty}"`;
+      case 'additionalProperties':
+        return `Unknown field "${field ? `${field}.` : ''}${error.params.additionalProperty}"`;
+      case 'enum':
+        return `Invalid value for ${subject}. Allowed values: ${error.params.allowedValues.join(', ')}`;
+      case 'type':
+        return `${subject} must be of type ${error.params.type}`;
+      case 'anyOf': {
+        // Objects are named by their required fields: "text or { html }", "text or { src }"
+        const alternatives = (error.schema || []).map(alternative => {
+          if (alternative.type === 'string') return 'text';
+          if (alternative.type === 'object' && alternative.required) return `{ ${alternative.required.join(', ')} }`;
+          return alternative.type || 'a matching value';
+        });
+        return alternatives.length > 0 ? `${subject} must be ${alternatives.join(' or ')}` : `${subject} ${error.message}`;
+      }
+      case 'minItems':
+        return `${subject} must contain at least ${error.params.limit} item(s)`;
+      case 'maxItems':
+        return `${subject} must contain at most ${error.params.limit} item(s)`;
+      case 'minLength':
+        return `${subject} must not be empty`;
+      case 'pattern':
+        return fieldPath.length === 1 && fieldPath[0] === 'id' ?
+          `Invalid slide id - use a slug starting with a letter (letters, digits, "-" and "_")` :
+          `${subject} must match ${error.params.pattern}`;
+      default:
+        return `${subject} ${error.message}`;
     }
+  }
+
+  /**
+   * Create a function that maps schema error paths to YAML line/column positions
+   * @param {string} yamlContent - Raw YAML content
+   * @returns {Function} (instancePath, error) => { line, column } or null
+   */
+  createYamlLocator(yamlContent) {
+    const lineCounter = new LineCounter();
+    const document = parseDocument(yamlContent, { lineCounter });
+    
+    const positionOf = node => {
+      if (!node || !node.range) return null;
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      return { line, column: col };
+    };
     
-    // Validate slides array if present
-    if (data.slides && Array.isArray(data.slides)) {
-      data.slides.forEach((slide, index) => {
-        const slideNum = index + 1;
-        
-        // Required type field
-        if (!slide.type) {
-          errors.push(`Slide ${slideNum}: Missing required "type" field`);
-        } else {
-          const validTypes = schema.properties.slides.items.properties.type.enum;
-          if (!validTypes.includes(slide.type)) {
-            errors.push(`Slide ${slideNum}: Invalid type "${slide.type}". Valid types: ${validTypes.join(', ')}`);
-          }
-        }
-        
-        // Optional style validation
-        if (slide.style) {
-          const validStyles = schema.properties.slides.items.properties.style.enum;
-          if (!validStyles.includes(slide.style)) {
-            errors.push(`Slide ${slideNum}: Invalid style "${slide.style}". Valid styles: ${validStyles.join(', ')}`);
-          }
-        }
-        
-        // Validate title structure if present
-        if (slide.title && typeof slide.title !== 'object') {
-          errors.push(`Slide ${slideNum}: Field "title" must be an object with "visible" and "text" properties`);
-        }
-        
-        // Validate subtitle structure if present  
-        if (slide.subtitle && typeof slide.subtitle !== 'object') {
-          errors.push(`Slide ${slideNum}: Field "subtitle" must be an object with "visible" and "text" properties`);
+    return (instancePath, error) => {
+      // Walk up to the closest node that exists in the document
+      let nodePath = instancePath;
+      let node = nodePath.length === 0 ? document.contents : document.getIn(nodePath, true);
+      while (!node && nodePath.length > 0) {
+        nodePath = nodePath.slice(0, -1);
+        node = nodePath.length === 0 ? document.contents : document.getIn(nodePath, true);
+      }
+      
+      // Point unknown keys at the key itself rather than the enclosing mapping
+      if (error.keyword === 'additionalProperties' && isMap(node)) {
+        const pair = node.items.find(item => item.key && item.key.value === error.params.additionalProperty);
+        if (pair) {
+          return positionOf(pair.key);
         }
-        
-        // Content validation is layout-specific, handled in validateSlideContent
-      });
-    }
-    
-    return { errors, warnings };
+      }
+      
+      return positionOf(node);
+    };
   }
 
   /**
    * Parse YAML content for multi-slide presentations with schema validation
    * @param {string} yamlContent - Raw YAML content
+   * @param {string} [sourcePath] - YAML file path, used in line/column error locations
+   * @param {string} [filename] - Name used in error messages (defaults to the path relative to the working directory)
    * @returns {Object} Normalized presentation data with metadata and slides array
    */
-  parsePresentation(yamlContent) {
+  parsePresentation(yamlContent, sourcePath = null, filename = sourcePath ? path.relative(process.cwd(), sourcePath) : 'current file') {
     try {
-      const data = yaml.load(yamlContent);
-      
-      if (!data || typeof data !== 'object') {
-        throw new Error('Invalid YAML: Expected object structure');
-      }
-      
-      // Basic schema validation first
-      const schemaValidation = this.validateYamlSchema(data, 'current file');
-      if (schemaValidation.errors.length > 0) {
-        throw new Error(`Schema validation failed:\n${schemaValidation.errors.map(e => `  • ${e}`).join('\n')}`);
-      }
-      
-      // Expect multi-slide format only
-      if (!data.slides || !Array.isArray(data.slides)) {
-        throw new Error('Invalid YAML structure: Missing required "slides" array');
-      }
+      // Core schema keeps unquoted dates like 2024-01-01 as strings
+      const data = yaml.load(yamlContent, { schema: yaml.CORE_SCHEMA });
       
-      return {
-        presentation: {
-          title: data.title || 'Untitled Presentation',
-          author: data.author || '',
-          date: data.date || ''
-        },
-        slides: data.slides
-      };
+      return this.normalizePresentation(data, filename, yamlContent, sourcePath && path.dirname(sourcePath));
       
     } catch (error) {
       if (error.name === 'YAMLException') {
-        throw new Error(`YAML parsing failed: ${error.message}`);
+        const mark = error.mark ? `:${error.mark.line + 1}:${error.mark.column + 1}` : '';
+        throw new ValidationError(`YAML parsing failed: ${filename}${mark} - ${error.reason || error.message}`, [
+          createDiagnostic('error', 'yaml/syntax', error.reason || error.message, {
+            file: filename,
+            line: error.mark ? error.mark.line + 1 : null,
+            column: error.mark ? error.mark.column + 1 : null
+          })
+        ]);
       }
       throw error;
     }
   }
 
+  /**
+   * Validate a parsed deck against the schema and normalize it
+   * @param {Object} data - Deck data as parsed from YAML
+   * @param {string} filename - Name used in error messages
+   * @param {string} [yamlContent] - Raw YAML content, used to locate errors by line and column
+   * @param {string} [deckDir] - Directory of the deck file, which theme paths in the deck are relative to
+   * @returns {Object} Normalized presentation data with metadata and slides array
+   */
+  normalizePresentation(data, filename, yamlContent = null, deckDir = null) {
+    if (!data || typeof data !== 'object') {
+      throw new ValidationError('Invalid YAML: Expected object structure', [
+        createDiagnostic('error', 'yaml/root-type', 'YAML root must be an object', { file: filename })
+      ]);
+    }
+    
+    // Slide styles are validated against the variants the deck's theme declares
+    // A --theme path is relative to the project root, a deck's theme path to the deck file
+    const theme = this.themeOverride ?
+      loadTheme(this.themeOverride, this.themesDir, this.rootDir) :
+      loadTheme(typeof data.theme === 'string' ? data.theme : DEFAULT_THEME, this.themesDir, deckDir || this.rootDir);
+    
+    // Full JSON Schema validation, per-layout content included
+    const schemaValidation = this.validateYamlSchema(data, filename, yamlContent, theme);
+    if (schemaValidation.errors.length > 0) {
+      throw new ValidationError(
+        `Schema validation failed:\n${schemaValidation.errors.map(e => `  • ${formatDiagnostic(e)}`).join('\n')}`,
+        schemaValidation.errors
+      );
+    }
+    
+    return {
+      presentation: {
+        title: data.title || 'Untitled Presentation',
+        author: data.author || '',
+        date: data.date || ''
+      },
+      theme,
+      slides: data.slides,
+      // Lets later validation point diagnostics at YAML lines
+      source: { file: filename, yamlContent }
+    };
+  }
+
   /**
    * Enhanced validation for presentation data structure with comprehensive error handling
    * @param {Object} presentationData - Parsed presentation data
    * @param {string} filename - File name for error reporting
+   * @param {Object} [context] - Render context of the deck, whose report() gets the results (see createRenderContext)
+   * @returns {Object} Warning diagnostics
    */
-  validatePresentationData(presentationData, filename) {
+  validatePresentationData(presentationData, filename, context = this.createRenderContext()) {
     const errors = [];
     const warnings = [];
+    const deckError = (ruleId, message, details = {}) => errors.push(createDiagnostic('error', ruleId, message, details));
     
     // Validate presentation metadata
     if (!presentationData.presentation) {
-      errors.push(`Missing presentation metadata in ${filename}`);
+      deckError('deck/metadata', 'Missing presentation metadata');
     } else {
       // Validate metadata fields
       if (!presentationData.presentation.title || presentationData.presentation.title.trim() === '') {
-        warnings.push(`Presentation title is empty or missing in ${filename}`);
+        warnings.push(createDiagnostic('warning', 'deck/metadata', 'Presentation title is empty or missing', { path: ['title'] }));
       }
       if (!presentationData.presentation.author || presentationData.presentation.author.trim() === '') {
-        warnings.push(`Presentation author is empty or missing in ${filename}`);
+        warnings.push(createDiagnostic('warning', 'deck/metadata', 'Presentation author is empty or missing', { path: ['author'] }));
       }
     }
 
     // Validate slides array
     if (!presentationData.slides || !Array.isArray(presentationData.slides)) {
-      errors.push(`Missing or invalid slides array in ${filename} - must be an array`);
-      this.reportValidationResults(errors, warnings, filename);
-      return; // Cannot continue without valid slides array
+      deckError('deck/slides-required', 'Missing or invalid slides array - must be an array', { path: ['slides'] });
+      this.failValidation(errors, warnings, presentationData, filename, context);
     }
 
     if (presentationData.slides.length === 0) {
-      errors.push(`Presentation must contain at least one slide in ${filename}`);
+      deckError('deck/no-slides', 'Presentation must contain at least one slide', { path: ['slides'] });
     }
 
-    // Enhanced slide validation
-    const validLayouts = [
-      'title-slide', 'section-break', 'text-left', 'text-center',
-      'image-full', 'image-1', 'image-horizontal-2', 'image-2x2',
-      'image-text-horizontal', 'image-text-vertical',
-      'list', 'num-list', 'card-2', 'card-3', 'timeline'
-    ];
-
-    const validStyles = ['black', 'white'];
-    
     presentationData.slides.forEach((slide, index) => {
       const slideNumber = index + 1;
+      const slideDetails = field => ({ slideIndex: index, slideType: slide.type || null, path: ['slides', index, ...(field ? [field] : [])] });
       
       // Check required fields
       if (!slide.type) {
-        errors.push(`Slide ${slideNumber}: Missing required "type" field in ${filename}`);
+        deckError('slide/type-required', 'Missing required "type" field', slideDetails());
         return; // Skip further validation for this slide
       }
 
       // Validate slide type
-      if (!validLayouts.includes(slide.type)) {
-        errors.push(`Slide ${slideNumber}: Invalid layout type "${slide.type}" in ${filename}. Valid types: ${validLayouts.join(', ')}`);
+      if (!getLayout(slide.type)) {
+        deckError('slide/unknown-type', `Invalid layout type "${slide.type}". Valid types: ${LAYOUT_TYPES.join(', ')}`, slideDetails('type'));
       }
 
       // Validate slide style
+      const validStyles = presentationData.theme ? presentationData.theme.variantNames : SLIDE_STYLES;
       if (slide.style && !validStyles.includes(slide.style)) {
-        errors.push(`Slide ${slideNumber}: Invalid style "${slide.style}" in ${filename}. Valid styles: ${validStyles.join(', ')}`);
+        deckError('slide/unknown-style', `Invalid style "${slide.style}". Valid styles: ${validStyles.join(', ')}`, slideDetails('style'));
       }
       
-      // Content validation based on slide type
+      // Content validation based on slide type (shared with ai-generator.js)
       try {
-        this.validateSlideContent(slide, slideNumber, filename, errors, warnings);
+        validateSlideContent(slide, slideNumber, errors, warnings);
       } catch (error) {
-        errors.push(`Slide ${slideNumber}: Content validation failed - ${error.message}`);
+        deckError('slide/validation-failed', `Content validation failed - ${error.message}`, slideDetails());
       }
     });
 
-    // Report all validation results
-    this.reportValidationResults(errors, warnings, filename);
+    // Slide ids are deep link targets and must be unique
+    validateSlideIds(presentationData.slides, errors);
+
+    if (errors.length > 0) {
+      this.failValidation(errors, warnings, presentationData, filename, context);
+    }
+    
+    this.locateDiagnostics(warnings, presentationData.source);
+    this.reportValidationResults(errors, warnings, filename, context);
+    
+    context.report('deck:validated', 'info', `✅ Validated multi-slide presentation with ${presentationData.slides.length} slide(s)`, {
+      deck: filename,
+      slides: presentationData.slides.length
+    });
+    
+    return { warnings };
+  }
+
+  /**
+   * Report validation diagnostics and throw the validation failure
+   * @param {Array} errors - Error diagnostics
+   * @param {Array} warnings - Warning diagnostics
+   * @param {Object} presentationData - Parsed presentation data
+   * @param {string} filename - File name for error reporting
+   * @param {Object} [context] - Render context of the deck (see createRenderContext)
+   */
+  failValidation(errors, warnings, presentationData, filename, context = this.createRenderContext()) {
+    this.locateDiagnostics([...errors, ...warnings], presentationData.source);
+    this.reportValidationResults(errors, warnings, filename, context);
+    
+    const errorSummary = `Validation failed for ${filename} with ${errors.length} error(s):\n${errors.map(e => `  • ${formatDiagnostic(e)}`).join('\n')}`;
+    throw new ValidationError(errorSummary, [...errors, ...warnings]);
+  }
+
+  /**
+   * Fill in the file and YAML line/column of diagnostics from their field paths
+   * @param {Array} diagnostics - Diagnostics to locate (updated in place)
+   * @param {Object} [source] - Deck source: { file, yamlContent }
+   * @returns {Array} The same diagnostics
+   */
+  locateDiagnostics(diagnostics, source = {}) {
+    const locator = source.yamlContent ? this.createYamlLocator(source.yamlContent) : null;
+    
+    diagnostics.forEach(diagnostic => {
+      diagnostic.file = diagnostic.file || source.file || null;
+      
+      const location = locator && diagnostic.line === null ? locator(diagnostic.path, {}) : null;
+      if (location) {
+        diagnostic.line = location.line;
+        diagnostic.column = location.column;
+      }
+    });
+    
+    return diagnostics;
+  }
+  
+  /**
+   * Report validation results with proper formatting
+   * @param {Array} errors - Error diagnostics
+   * @param {Array} warnings - Warning diagnostics
+   * @param {string} filename - File name for reporting
+   * @param {Object} [context] - Render context of the deck (see createRenderContext)
+   */
+  reportValidationResults(errors, warnings, filename, context = this.createRenderContext()) {
+    if (warnings.length > 0) {
+      context.report('validation:warnings', 'warning', [
+        `⚠️  ${warnings.length} validation warning(s) for ${filename}:`,
+        ...warnings.map(warning => `   ${formatDiagnostic(warning)}`)
+      ].join('\n'), { deck: filename, diagnostics: warnings });
+    }
     
     if (errors.length > 0) {
-      const errorSummary = `Validation failed for ${filename} with ${errors.length} error(s):\n${errors.map(e => `  • ${e}`).join('\n')}`;
-      throw new Error(errorSummary);
+      context.report('validation:errors', 'error', [
+        `❌ ${errors.length} validation error(s) for ${filename}:`,
+        ...errors.map(error => `   ${formatDiagnostic(error)}`)
+      ].join('\n'), { deck: filename, diagnostics: errors });
     }
+  }
+
+  /**
+   * Build one deck from its YAML file
+   * @param {string} yamlFilePath - Path to the deck YAML
+   * @param {Object} [options] - Output options
+   * @param {boolean} [options.singleFile] - Inline every image so index.html is self-contained (defaults to the builder setting)
+   * @param {Object} [options.context] - Render context the deck reports to and keeps its images in (a new one by default)
+   * @returns {Promise<Object>} Normalized presentation data
+   */
+  async processYamlFile(yamlFilePath, options = {}) {
+    const filename = path.basename(yamlFilePath, path.extname(yamlFilePath));
+    const singleFile = options.singleFile ?? this.singleFile;
+    const force = options.force ?? this.force;
+    const context = options.context || this.createRenderContext();
+    context.report('deck:start', 'info', `🔄 Processing ${filename}...`, { deck: filename });
     
-    console.log(`✅ Validated multi-slide presentation with ${presentationData.slides.length} slide(s)`);
+    try {
+      // Parse YAML content with multi-slide support
+      const yamlContent = await fs.readFile(yamlFilePath, 'utf8');
+      const presentationData = this.parsePresentation(yamlContent, yamlFilePath);
+      
+      // Validate presentation structure
+      this.validatePresentationData(presentationData, filename, context);
+      
+      const presentationDir = path.join(this.presentationsDir, filename);
+      const htmlPath = path.join(presentationDir, 'index.html');
+      
+      // Images are stored under content-hashed names, so same-named sources never overwrite each other
+      const images = this.collectPresentationImages(presentationData);
+      const assetHashes = await this.hashPresentationAssets(presentationData);
+      context.assetPaths = this.createAssetPaths(images, assetHashes);
+      this.reportAssetCollisions(images, assetHashes, context);
+      
+      if (this.strict) {
+        this.failMissingImages(presentationData, assetHashes, filename, context);
+      }
+      
+      // Skip the deck if nothing its output depends on changed since the last build
+      const previousManifest = force ? null : await readManifest(presentationDir);
+      const manifest = createManifest({
+        yamlContent,
+        theme: presentationData.theme,
+        assets: assetHashes,
+        singleFile
+      });
+      
+      if (isUnchanged(previousManifest, manifest) && await fs.pathExists(htmlPath)) {
+        context.report('deck:unchanged', 'info', `⏭️  ${filename} is unchanged - skipped (use --force to rebuild)`, {
+          deck: filename,
+          slides: presentationData.slides.length,
+          htmlPath
+        });
+        this.reportKeptPlaceholders(presentationData, assetHashes, presentationDir, context);
+        return presentationData;
+      }
+      
+      // Create presentation directory; its manifest is only rewritten once the build succeeds
+      await fs.ensureDir(presentationDir);
+      await removeManifest(presentationDir);
+      
+      // Create assets directory
+      const assetsDir = path.join(presentationDir, 'assets');
+      await fs.ensureDir(assetsDir);
+      
+      // Copy assets for all slides in presentation, skipping images unchanged since the last build
+      await this.copyAssetsForPresentation(presentationData, assetsDir, context, {
+        previousAssets: previousManifest?.assets,
+        assets: manifest.assets
+      });
+      
+      // Resized AVIF/WebP variants - single-file decks inline the original instead
+      if (!singleFile) {
+        context.imageVariants = await this.createImageVariants(presentationData, presentationDir, context);
+      }
+      
+      // Single-file output reads the copied images (missing-image placeholders included) back as data URIs
+      if (singleFile) {
+        context.inlineImages = await this.createInlineImages(presentationData, image => path.join(assetsDir, path.basename(this.convertToAssetsPath(image, context))), context);
+      }
+      
+      // Generate multi-slide HTML
+      const htmlContent = await this.generatePresentationHTML(presentationData, context);
+      
+      // Fail before writing rather than publish a deck with broken images
+      await this.verifyImageSources(filename, htmlContent, presentationDir);
+      
+      // Write HTML file
+      await fs.writeFile(htmlPath, htmlContent);
+      
+      context.report('deck:built', 'info', `✅ Generated ${filename}/index.html with ${presentationData.slides.length} slide(s)`, {
+        deck: filename,
+        slides: presentationData.slides.length,
+        htmlPath
+      });
+      
+      if (singleFile) {
+        // Everything is inlined - the assets folder is not needed next to the HTML
+        await fs.remove(assetsDir);
+        await this.reportSingleFileSize(filename, htmlPath, context);
+      }
+      
+      // Single-file decks inline their images and remove assets/
+      const variantPaths = [...new Set([...context.imageVariants.values()].flat().map(variant => variant.path))];
+      await writeManifest(presentationDir, {
+        ...manifest,
+        files: ['index.html', ...(singleFile ? [] : [...this.getAssetPaths(presentationData, context), ...variantPaths])]
+      });
+      
+      return presentationData;
+      
+    } catch (error) {
+      context.report('deck:failed', 'error', `❌ Error processing ${filename}: ${error.message}`, { deck: filename, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Render a deck in memory - nothing is read from the content directory or written to disk
+   * @param {string|Object} data - Deck YAML source or an already parsed deck object
+   * @param {Object} [options] - Render options
+   * @param {string} [options.name] - Deck name used in messages and events
+   * @param {boolean} [options.singleFile] - Inline images as data URIs (image files are read, never copied)
+   * @returns {Promise<Object>} html, css and js of the deck, its asset manifest, presentation data and validation warnings
+   */
+  async renderPresentation(data, options = {}) {
+    const name = options.name || 'presentation';
+    const singleFile = options.singleFile ?? this.singleFile;
+    const context = this.createRenderContext();
+    context.report('deck:start', 'info', `🔄 Rendering ${name}...`, { deck: name });
+    
+    try {
+      const presentationData = typeof data === 'string' ?
+        this.parsePresentation(data, null, name) :
+        this.normalizePresentation(data, name);
+      
+      const { warnings } = this.validatePresentationData(presentationData, name, context);
+      
+      const images = this.collectPresentationImages(presentationData);
+      const assetHashes = await this.hashPresentationAssets(presentationData);
+      this.reportAssetCollisions(images, assetHashes, context);
+      
+      context.assetPaths = this.createAssetPaths(images, assetHashes);
+      const assets = this.createAssetManifest(presentationData, context);
+      
+      if (singleFile) {
+        context.inlineImages = await this.createInlineImages(presentationData, image => this.resolveImageSourcePath(image.src), context, { crop: true });
+      }
+      
+      const document = await this.renderDocument(presentationData, context);
+      
+      context.report('deck:rendered', 'info', `✅ Rendered ${name} with ${presentationData.slides.length} slide(s)`, {
+        deck: name,
+        slides: presentationData.slides.length
+      });
+      
+      return { ...document, assets, presentationData, warnings };
+      
+    } catch (error) {
+      context.report('deck:failed', 'error', `❌ Error rendering ${name}: ${error.message}`, { deck: name, error });
+      throw error;
+    }
+  }
+
+  /**
+   * List the files a deck needs next to its index.html
+   * @param {Object} presentationData - Normalized presentation data
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {Array<Object>} One { ref, path, sourcePath, crop, exists } entry per image, path being relative
+   *   to index.html and crop the region of the source to keep ({ x, y, width, height } in percent, or null)
+   */
+  createAssetManifest(presentationData, context) {
+    return this.collectPresentationImages(presentationData).map(image => {
+      const sourcePath = this.resolveImageSourcePath(image.src);
+      return {
+        ref: image.ref,
+        path: this.convertToAssetsPath(image, context),
+        sourcePath,
+        crop: image.crop,
+        exists: fs.existsSync(sourcePath)
+      };
+    });
+  }
+
+  /**
+   * Read the deck's images as data URIs for single-file output
+   * @param {Object} presentationData - Normalized presentation data
+   * @param {Function} resolveFile - Maps an image source ({ ref, src, crop }) to the file to read
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @param {Object} [options] - Inlining options
+   * @param {boolean} [options.crop] - Apply crops while reading, for files that are not cropped copies
+   * @returns {Promise<Map>} Data URIs keyed by assets path (as returned by convertToAssetsPath)
+   */
+  async createInlineImages(presentationData, resolveFile, context, options = {}) {
+    const inlineImages = new Map();
+    
+    for (const image of this.collectPresentationImages(presentationData)) {
+      const assetsPath = this.convertToAssetsPath(image, context);
+      const imagePath = resolveFile(image);
+      
+      if (inlineImages.has(assetsPath) || !(await fs.pathExists(imagePath))) {
+        continue; // Missing images were already reported while copying
+      }
+      
+      const mimeType = IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'application/octet-stream';
+      const data = options.crop && image.crop && isResizable(imagePath) ?
+        await cropImage(imagePath, image.crop) :
+        await fs.readFile(imagePath);
+      inlineImages.set(assetsPath, `data:${mimeType};base64,${data.toString('base64')}`);
+    }
+    
+    return inlineImages;
+  }
+
+  /**
+   * Check that every image the generated HTML loads resolves to a file in the deck folder.
+   * All layouts resolve images through renderImage()/getImageUrl(), so a broken src is a
+   * builder bug - the deck fails before its index.html is written.
+   * @param {string} deckName - Deck name
+   * @param {string} html - Generated HTML
+   * @param {string} presentationDir - Deck directory the URLs are relative to
+   */
+  async verifyImageSources(deckName, html, presentationDir) {
+    const unresolved = [];
+    
+    for (const src of collectImageSources(html)) {
+      // Inlined images (single-file output) and remote images need no file
+      if (/^(data|https?):/i.test(src)) continue;
+      if (!(await fs.pathExists(path.join(presentationDir, src)))) unresolved.push(src);
+    }
+    
+    if (unresolved.length > 0) {
+      const diagnostics = unresolved.map(src => createDiagnostic('error', 'asset/unresolved', `Image source does not resolve to a file: ${src}`));
+      throw new ValidationError(`${unresolved.length} image source(s) in ${deckName}/index.html do not resolve to a file: ${unresolved.join(', ')}`, diagnostics);
+    }
+  }
+
+  /**
+   * Report the size of a single-file deck
+   * @param {string} deckName - Deck name
+   * @param {string} htmlPath - Path to the written HTML file
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   */
+  async reportSingleFileSize(deckName, htmlPath, context) {
+    const stats = await fs.stat(htmlPath);
+    const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+    
+    context.report('deck:size', 'info', `📦 ${deckName}/index.html is self-contained: ${fileSizeMB}MB`, {
+      deck: deckName,
+      htmlPath,
+      bytes: stats.size
+    });
+    
+    // Many mail servers reject attachments above 10-25MB
+    if (stats.size > 10 * 1024 * 1024) {
+      context.report('deck:large', 'warning', `⚠️  Large single-file deck: ${deckName}/index.html (${fileSizeMB}MB) - consider optimizing images before emailing it`, {
+        deck: deckName,
+        bytes: stats.size
+      });
+    }
+  }
+
+  async copyAssetsForPresentation(presentationData, assetsDir, context, options = {}) {
+    // Collect all images from all slides and the theme
+    const images = this.collectPresentationImages(presentationData);
+    
+    context.report('assets:found', 'info', `📷 Found ${images.length} unique image reference(s)`, { refs: images.map(image => image.ref) });
+    
+    // Copy custom images concurrently; images sharing an assets path copy one after another
+    const imagesByAssetsPath = new Map();
+    for (const image of images) {
+      const assetsPath = this.convertToAssetsPath(image, context);
+      imagesByAssetsPath.set(assetsPath, [...(imagesByAssetsPath.get(assetsPath) || []), image]);
+    }
+    
+    const usagesByRef = this.collectImageUsages(presentationData);
+    await runPool([...imagesByAssetsPath.values()], this.concurrency, async sharedImages => {
+      for (const image of sharedImages) {
+        const hash = options.assets?.[image.ref];
+        await this.copyCustomImage(image, assetsDir, context, {
+          unchanged: Boolean(hash) && options.previousAssets?.[image.ref] === hash,
+          usages: usagesByRef.get(image.ref) || []
+        });
+      }
+    });
   }
   
   /**
-   * Validate content structure based on slide type
-   * @param {Object} slide - Slide data to validate
-   * @param {number} slideNumber - Slide number for error reporting  
-   * @param {string} filename - File name for error reporting
-   * @param {Array} errors - Array to collect validation errors
-   * @param {Array} warnings - Array to collect validation warnings
+   * Collect where each image of a presentation is used
+   * @param {Object} presentationData - Presentation data
+   * @returns {Map} { slideIndex, slideType, slot, path } usages keyed by image reference, path from the document root
    */
-  validateSlideContent(slide, slideNumber, filename, errors, warnings) {
-    const { type, content, title } = slide;
+  collectImageUsages(presentationData) {
+    const usagesByRef = new Map();
+    
+    presentationData.slides.forEach((slide, slideIndex) => {
+      getImageFields(slide).forEach(field => {
+        const usage = {
+          slideIndex,
+          slideType: slide.type,
+          slot: getLayout(slide.type).imageSlot || null,
+          path: ['slides', slideIndex, ...field.path]
+        };
+        usagesByRef.set(field.ref, [...(usagesByRef.get(field.ref) || []), usage]);
+      });
+    });
     
-    switch (type) {
-      case 'title-slide':
-        if (!title?.text && !content?.author?.text && !content?.date?.text) {
-          warnings.push(`Slide ${slideNumber}: Title slide has no visible content (title, author, or date)`);
-        }
-        break;
-        
-      case 'section-break':
-        if (!content?.number && !content?.title) {
-          warnings.push(`Slide ${slideNumber}: Section break missing number and title`);
-        }
-        break;
-        
-      case 'text-left':
-      case 'text-center':
-        if (!content?.text || content.text.trim() === '') {
-          errors.push(`Slide ${slideNumber}: Text layout requires content.text field`);
-        }
-        break;
-        
-      case 'image-full':
-      case 'image-1':
-        if (!content?.image) {
-          errors.push(`Slide ${slideNumber}: Image layout requires content.image field`);
-        }
-        break;
-        
-      case 'image-horizontal-2':
-        if (!content?.image1 || !content?.image2) {
-          errors.push(`Slide ${slideNumber}: Horizontal-2 layout requires content.image1 and content.image2 fields`);
-        }
-        break;
-        
-      case 'image-2x2':
-        const requiredImages = ['image1', 'image2', 'image3', 'image4'];
-        const missingImages = requiredImages.filter(img => !content?.[img]);
-        if (missingImages.length > 0) {
-          errors.push(`Slide ${slideNumber}: 2x2 layout missing required images: ${missingImages.join(', ')}`);
-        }
-        break;
-        
-      case 'image-text-horizontal':
-      case 'image-text-vertical':
-        if (!content?.image) {
-          errors.push(`Slide ${slideNumber}: Image-text layout requires content.image field`);
-        }
-        if (!content?.text || content.text.trim() === '') {
-          errors.push(`Slide ${slideNumber}: Image-text layout requires content.text field`);
-        }
-        break;
-        
-      case 'list':
-      case 'num-list':
-        if (!content?.items || !Array.isArray(content.items)) {
-          errors.push(`Slide ${slideNumber}: List layout requires content.items array`);
-        } else if (content.items.length === 0) {
-          warnings.push(`Slide ${slideNumber}: List layout has empty items array`);
-        } else if (content.items.length > 12) {
-          warnings.push(`Slide ${slideNumber}: List has ${content.items.length} items - consider splitting for better readability`);
-        }
-        break;
-        
-      case 'card-2':
-        if (!content?.cards || !Array.isArray(content.cards)) {
-          errors.push(`Slide ${slideNumber}: Card-2 layout requires content.cards array`);
-        } else if (content.cards.length !== 2) {
-          errors.push(`Slide ${slideNumber}: Card-2 layout requires exactly 2 cards, found ${content.cards.length}`);
-        }
-        break;
-        
-      case 'card-3':
-        if (!content?.cards || !Array.isArray(content.cards)) {
-          errors.push(`Slide ${slideNumber}: Card-3 layout requires content.cards array`);
-        } else if (content.cards.length !== 3) {
-          errors.push(`Slide ${slideNumber}: Card-3 layout requires exactly 3 cards, found ${content.cards.length}`);
-        }
-        break;
-        
-      case 'timeline':
-        if (!content?.events || !Array.isArray(content.events)) {
-          errors.push(`Slide ${slideNumber}: Timeline layout requires content.events array`);
-        } else if (content.events.length === 0) {
-          warnings.push(`Slide ${slideNumber}: Timeline layout has empty events array`);
-        } else {
-          // Validate timeline events
-          content.events.forEach((event, eventIndex) => {
-            if (!event.time && !event.title) {
-              warnings.push(`Slide ${slideNumber}: Timeline event ${eventIndex + 1} missing time and title`);
-            }
-          });
-        }
-        break;
+    return usagesByRef;
+  }
+  
+  /**
+   * Collect the layout slots each image of a presentation fills (see image-variants.js)
+   * @param {Object} presentationData - Presentation data
+   * @returns {Map} Set of slot names keyed by image reference
+   */
+  collectImageSlots(presentationData) {
+    const slotsByRef = new Map();
+    
+    for (const [imageRef, usages] of this.collectImageUsages(presentationData)) {
+      const slots = new Set(usages.map(usage => usage.slot).filter(Boolean));
+      if (slots.size > 0) slotsByRef.set(imageRef, slots);
+    }
+    
+    return slotsByRef;
+  }
+  
+  /**
+   * Report the missing images of a skipped deck, whose placeholders from the last build are kept
+   * @param {Object} presentationData - Presentation data
+   * @param {Object} assetHashes - Source hash (null when missing) keyed by image reference
+   * @param {string} presentationDir - Built deck directory
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   */
+  reportKeptPlaceholders(presentationData, assetHashes, presentationDir, context) {
+    const usagesByRef = this.collectImageUsages(presentationData);
+    
+    this.collectPresentationImages(presentationData)
+      .filter(image => !assetHashes[image.ref])
+      .forEach(image => {
+        const sourcePath = this.resolveImageSourcePath(image.src);
+        const slideNumbers = [...new Set((usagesByRef.get(image.ref) || []).map(usage => usage.slideIndex + 1))];
+        context.report('asset:missing', 'warning', `❌ Image not found: ${image.ref} (${sourcePath}) - still shown as a placeholder`, {
+          ref: image.ref,
+          sourcePath,
+          slides: slideNumbers,
+          path: path.join(presentationDir, this.convertToAssetsPath(image, context))
+        });
+      });
+  }
+  
+  /**
+   * Strict mode: fail the deck with one diagnostic per use of a missing image
+   * @param {Object} presentationData - Presentation data
+   * @param {Object} assetHashes - Source hash (null when missing) keyed by image reference
+   * @param {string} filename - Deck name for reporting
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   */
+  failMissingImages(presentationData, assetHashes, filename, context) {
+    const missingImages = this.collectPresentationImages(presentationData).filter(image => !assetHashes[image.ref]);
+    const errors = this.createMissingImageDiagnostics(presentationData, missingImages, 'error');
+    
+    if (errors.length > 0) {
+      this.failValidation(errors, [], presentationData, filename, context);
     }
   }
   
   /**
-   * Report validation results with proper formatting
-   * @param {Array} errors - Validation errors
-   * @param {Array} warnings - Validation warnings  
-   * @param {string} filename - File name for reporting
+   * Create one asset/missing diagnostic per use of each missing image
+   * @param {Object} presentationData - Presentation data
+   * @param {Array<Object>} missingImages - Sources of the missing images (see collectPresentationImages)
+   * @param {string} severity - "error" in strict mode, "warning" otherwise
+   * @returns {Array<Object>} Diagnostics
+   */
+  createMissingImageDiagnostics(presentationData, missingImages, severity) {
+    const usagesByRef = this.collectImageUsages(presentationData);
+    return missingImages.flatMap(image => {
+      const message = `Image not found: ${image.ref} (${this.resolveImageSourcePath(image.src)})`;
+      // Images used outside slides, e.g. the theme logo
+      const usages = usagesByRef.get(image.ref) || [{ slideIndex: null, slideType: null, path: [] }];
+      return usages.map(({ slideIndex, slideType, path: fieldPath }) => (
+        createDiagnostic(severity, 'asset/missing', message, { slideIndex, slideType, path: fieldPath })
+      ));
+    });
+  }
+  
+  /**
+   * Create resized AVIF/WebP variants of the copied slide images
+   * @param {Object} presentationData - Presentation data
+   * @param {string} presentationDir - Deck directory holding assets/
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {Promise<Map>} Variants (see planVariants) keyed by image reference
+   */
+  async createImageVariants(presentationData, presentationDir, context) {
+    const imageVariants = new Map();
+    
+    // Images with the same content share one copy, so its variants are written once for all of them
+    const slotsByRef = this.collectImageSlots(presentationData);
+    const slotsByAssetsPath = new Map();
+    for (const image of this.collectPresentationImages(presentationData)) {
+      // Only content-hashed copies get variants; missing images are SVG placeholders
+      const slots = slotsByRef.get(image.ref);
+      if (!slots || !context.assetPaths.has(image.ref)) continue;
+      
+      const assetsPath = this.convertToAssetsPath(image, context);
+      const entry = slotsByAssetsPath.get(assetsPath) || { images: [], slots: new Set() };
+      entry.images.push(image);
+      slots.forEach(slot => entry.slots.add(slot));
+      slotsByAssetsPath.set(assetsPath, entry);
+    }
+    
+    await runPool([...slotsByAssetsPath], this.concurrency, async ([assetsPath, { images, slots }]) => {
+      const imagePath = path.join(presentationDir, assetsPath);
+      if (!isResizable(imagePath) || !(await fs.pathExists(imagePath))) return;
+      
+      const imageRefs = images.map(image => image.ref);
+      try {
+        const variants = planVariants(assetsPath, await getImageWidth(imagePath), slots);
+        const written = await writeVariants(imagePath, presentationDir, variants);
+        imageRefs.forEach(imageRef => imageVariants.set(imageRef, variants));
+        
+        const widths = [...new Set(variants.map(variant => `${variant.width}w`))].join(', ');
+        context.report('asset:variants', 'info', `🖼️  ${variants.length} variant(s) of ${path.basename(images[0].src)} (${widths}; ${written} new)`, {
+          ref: imageRefs[0],
+          refs: imageRefs,
+          variants,
+          written
+        });
+      } catch (error) {
+        // The original copy still works - only the responsive sources are left out
+        context.report('asset:variants-failed', 'warning', `⚠️  Could not create variants of ${imageRefs.join(', ')}: ${error.message}`, { ref: imageRefs[0], refs: imageRefs, error });
+      }
+    });
+    
+    return imageVariants;
+  }
+  
+  /**
+   * List the assets/ files a presentation's images are copied to
+   * @param {Object} presentationData - Presentation data
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {Array<string>} Unique paths relative to the deck directory, e.g. "assets/photo.jpg"
    */
-  reportValidationResults(errors, warnings, filename) {
-    if (warnings.length > 0) {
-      console.log(`⚠️  ${warnings.length} validation warning(s) for ${filename}:`);
-      warnings.forEach(warning => console.log(`   ${warning}`));
+  getAssetPaths(presentationData, context) {
+    const images = this.collectPresentationImages(presentationData);
+    return [...new Set(images.map(image => this.convertToAssetsPath(image, context)))];
+  }
+  
+  /**
+   * Hash the source file of every image a presentation references, and its crop if any
+   * @param {Object} presentationData - Presentation data
+   * @returns {Promise<Object>} Content hash (null when the file is missing) keyed by image reference
+   */
+  async hashPresentationAssets(presentationData) {
+    const images = this.collectPresentationImages(presentationData);
+    const hashes = await runPool(images, this.concurrency, async image => {
+      const hash = await hashFile(this.resolveImageSourcePath(image.src));
+      // A crop changes the copy, so each crop of an image is named and cached on its own
+      return hash && image.crop ? hashContent(`${hash}${JSON.stringify(image.crop)}`) : hash;
+    });
+    return Object.fromEntries(images.map((image, index) => [image.ref, hashes[index]]));
+  }
+
+  /**
+   * Name each referenced image's copy after its content: assets/<name>.<hash><ext>.
+   * Images with the same content share one copy. Missing images get an SVG placeholder
+   * named after the reference instead: assets/<name>.missing-<hash>.svg.
+   * @param {Array<Object>} images - Image sources (see collectPresentationImages)
+   * @param {Object} assetHashes - Source hash (null when missing) keyed by image reference
+   * @returns {Map} Assets path keyed by image reference
+   */
+  createAssetPaths(images, assetHashes) {
+    const assetPaths = new Map();
+    
+    for (const { ref, src } of images) {
+      const hash = assetHashes[ref];
+      const extension = path.extname(src);
+      const name = path.basename(src, extension);
+      assetPaths.set(ref, hash ?
+        `assets/${name}.${hash.slice(0, ASSET_HASH_LENGTH)}${extension}` :
+        `assets/${name}.missing-${hashContent(ref).slice(0, ASSET_HASH_LENGTH)}.svg`);
     }
     
-    if (errors.length > 0) {
-      console.log(`❌ ${errors.length} validation error(s) for ${filename}:`);
-      errors.forEach(error => console.log(`   ${error}`));
-    }
+    return assetPaths;
   }
 
-  async processYamlFile(yamlFilePath) {
-    const filename = path.basename(yamlFilePath, path.extname(yamlFilePath));
-    console.log(`🔄 Processing ${filename}...`);
+  /**
+   * Warn about different images sharing a file name - before content-hashed names, one overwrote the other
+   * @param {Array<Object>} images - Image sources (see collectPresentationImages)
+   * @param {Object} assetHashes - Source hash (null when missing) keyed by image reference
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   */
+  reportAssetCollisions(images, assetHashes, context) {
+    const refsByFilename = new Map();
+    for (const { ref: imageRef, src } of images) {
+      const hash = assetHashes[imageRef];
+      if (!hash) continue;
+      const filename = path.basename(src);
+      const sourcePath = this.resolveImageSourcePath(src);
+      refsByFilename.set(filename, [...(refsByFilename.get(filename) || []), { imageRef, hash, sourcePath }]);
+    }
     
-    try {
-      // Parse YAML content with multi-slide support
-      const yamlContent = await fs.readFile(yamlFilePath, 'utf8');
-      const presentationData = this.parsePresentation(yamlContent);
-      
-      // Validate presentation structure
-      this.validatePresentationData(presentationData, filename);
-      
-      // Create presentation directory
-      const presentationDir = path.join(this.presentationsDir, filename);
-      await fs.ensureDir(presentationDir);
-      
-      // Create assets directory
-      const assetsDir = path.join(presentationDir, 'assets');
-      await fs.ensureDir(assetsDir);
-      
-      // Copy assets for all slides in presentation
-      await this.copyAssetsForPresentation(presentationData, assetsDir);
-      
-      // Generate multi-slide HTML
-      const htmlContent = await this.generatePresentationHTML(presentationData);
-      
-      // Write HTML file
-      await fs.writeFile(path.join(presentationDir, 'index.html'), htmlContent);
+    for (const [filename, sources] of refsByFilename) {
+      // Crops of one file differ in hash but are not different images
+      if (new Set(sources.map(source => source.hash)).size < 2 ||
+        new Set(sources.map(source => source.sourcePath)).size < 2) continue;
       
-      console.log(`✅ Generated ${filename}/index.html with ${presentationData.slides.length} slide(s)`);
-      
-    } catch (error) {
-      console.error(`❌ Error processing ${filename}:`, error.message);
-      throw error;
+      const imageRefs = sources.map(source => source.imageRef);
+      context.report('asset:collision', 'warning', `⚠️  Different images share the name ${filename}: ${imageRefs.join(', ')} - each is kept under its content-hashed name`, {
+        filename,
+        refs: imageRefs
+      });
     }
   }
 
-  async copyAssetsForPresentation(presentationData, assetsDir) {
-    // No longer automatically copy sample.jpg - only copy explicitly referenced images
-    
-    // Collect all image references from all slides
-    const imageReferences = new Set();
+  /**
+   * Convert an image source to its assets directory path for HTML
+   * @param {Object|null} image - Image source { ref, src, crop } (see getImageSource)
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {string} - Converted assets path for HTML
+   */
+  convertToAssetsPath(image, context) {
+    if (!image) {
+      return null; // No image specified
+    }
     
-    presentationData.slides.forEach((slide, index) => {
-      this.collectImageReferences(slide, imageReferences, index);
-    });
+    // Content-hashed name of the deck being built (see createAssetPaths)
+    if (context.assetPaths.has(image.ref)) {
+      return context.assetPaths.get(image.ref);
+    }
     
-    console.log(`📷 Found ${imageReferences.size} unique image reference(s)`);
+    // Not hashed for the deck: the source's file name
+    const filename = path.basename(image.src);
+    return `assets/${filename}`;
+  }
+
+  /**
+   * Render a slide image - a <picture> with AVIF/WebP srcset sources when the image has
+   * variants, with the original copy as the <img> fallback. Fit and focus set in YAML
+   * override the layout's object-fit/object-position, and a caption or credit wraps
+   * the image in a <figure>.
+   * @param {string|Object} image - Image path or image object from YAML
+   * @param {string} slideType - Layout type, whose image slot decides the sizes attribute
+   * @param {Object} attributes - <img> attributes
+   * @param {string} attributes.className - Class names
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {string} HTML
+   */
+  renderImage(image, slideType, { className }, context) {
+    const imageRef = getImageRef(image);
+    const { alt, caption, credit } = getImageOptions(image);
+    const style = getImageStyle(image);
+    // Images without alt text are reported by validation - an empty alt keeps screen readers from reading the file name
+    const img = `<img src="${escapeAttribute(this.getImageUrl(image, context))}" alt="${escapeAttribute(alt || '')}" class="${className}"${style ? ` style="${escapeAttribute(style)}"` : ''}>`;
+    const variants = context.imageVariants.get(imageRef);
+    const slot = getLayout(slideType)?.imageSlot;
+    
+    let html = img;
+    if (variants?.length && slot) {
+      const sources = VARIANT_FORMATS.map(({ format, mimeType }) => {
+        const srcset = variants
+          .filter(variant => variant.format === format)
+          .map(variant => `${variant.path} ${variant.width}w`)
+          .join(', ');
+        return `<source type="${mimeType}" srcset="${escapeAttribute(srcset)}" sizes="${IMAGE_SLOTS[slot].sizes}">`;
+      });
+      html = `<picture>${sources.join('')}${img}</picture>`;
+    }
     
-    // Copy custom images if they exist
-    for (const imageRef of imageReferences) {
-      if (imageRef !== 'assets/sample.jpg') {
-        await this.copyCustomImage(imageRef, assetsDir);
-      }
+    if (!caption && !credit) {
+      return html;
     }
+    
+    const captionHtml = [
+      caption ? renderRichText(caption) : '',
+      credit ? `<span class="image-credit">${renderRichText(credit)}</span>` : ''
+    ].filter(Boolean).join(' ');
+    
+    return `<figure class="image-figure">${html}<figcaption class="image-caption">${captionHtml}</figcaption></figure>`;
   }
 
   /**
-   * Convert image reference to assets directory path for HTML
-   * @param {string} imageRef - Original image reference from YAML
-   * @returns {string} - Converted assets path for HTML
+   * Get the URL of an image in the generated HTML
+   * @param {string|Object} image - Image path or image object from YAML
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {string|null} - Data URI in single-file output, otherwise the assets path
    */
-  convertToAssetsPath(imageRef) {
-    if (!imageRef) {
-      return null; // No image specified
+  getImageUrl(image, context) {
+    const assetsPath = this.convertToAssetsPath(getImageSource(image), context);
+    return context.inlineImages.get(assetsPath) || assetsPath;
+  }
+
+  /**
+   * Resolve an image path from YAML to its source path on disk
+   * @param {string} src - Image path from YAML content (the src of an image object)
+   * @returns {string} - Absolute source path
+   */
+  resolveImageSourcePath(src) {
+    if (src.startsWith('sample/')) {
+      // Sample directory reference (e.g., "sample/images/sample_image.jpg")
+      return path.join(this.sampleDir, src.substring('sample/'.length));
     }
     
-    if (imageRef === 'assets/sample.jpg') {
-      return 'assets/sample.jpg'; // Keep legacy references
+    if (path.isAbsolute(src)) {
+      // Absolute path reference
+      return src;
     }
     
-    // Convert any image reference to assets path
-    const filename = path.basename(imageRef);
-    return `assets/${filename}`;
+    // input/, references/ and other relative references resolve from the project root
+    // (e.g., "input/pregen/assets/image_01.png", "references/reference_1.jpg")
+    return path.join(this.rootDir, src);
   }
 
   /**
    * Copy custom image with path resolution and error handling
-   * @param {string} imageRef - Image reference from YAML content  
+   * @param {Object} image - Image source { ref, src, crop } (see getImageSource)
    * @param {string} assetsDir - Destination assets directory
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @param {Object} [options] - Copy options
+   * @param {boolean} [options.unchanged] - The source is unchanged since the last build, so an existing copy is kept
+   * @param {Array<Object>} [options.usages] - Where the image is used (see collectImageUsages), shown on its placeholder
    */
-  async copyCustomImage(imageRef, assetsDir) {
+  async copyCustomImage(image, assetsDir, context, options = {}) {
+    const { ref: imageRef, crop } = image;
     try {
-      // Determine source path based on reference format
-      let sourcePath;
-      let destFilename;
-      
-      if (imageRef.startsWith('sample/')) {
-        // Sample directory reference (e.g., "sample/images/sample_image.jpg")
-        sourcePath = path.join(this.sampleDir, imageRef.substring('sample/'.length));
-        destFilename = path.basename(imageRef);
-      } else if (imageRef.startsWith('input/')) {
-        // Input directory reference (e.g., "input/pregen/assets/image_01.png")
-        sourcePath = path.join(__dirname, imageRef);
-        destFilename = path.basename(imageRef);
-      } else if (imageRef.startsWith('references/')) {
-        // References directory reference (e.g., "references/reference_1.jpg")
-        sourcePath = path.join(__dirname, imageRef);
-        destFilename = path.basename(imageRef);
-      } else if (path.isAbsolute(imageRef)) {
-        // Absolute path reference
-        sourcePath = imageRef;
-        destFilename = path.basename(imageRef);
-      } else {
-        // Relative path reference - check in project root
-        sourcePath = path.join(__dirname, imageRef);
-        destFilename = path.basename(imageRef);
-      }
+      const sourcePath = this.resolveImageSourcePath(image.src);
+      const destFilename = path.basename(this.convertToAssetsPath(image, context));
       
       const destPath = path.join(assetsDir, destFilename);
       
+      // The copy from the last build is still current
+      if (options.unchanged && await fs.pathExists(destPath)) {
+        context.report('asset:unchanged', 'info', `⏭️  Unchanged ${imageRef} → assets/${destFilename}`, { ref: imageRef, path: destPath });
+        return;
+      }
+      
       // Check if source file exists
       if (await fs.pathExists(sourcePath)) {
-        // Copy image to assets directory
-        await fs.copy(sourcePath, destPath);
+        // Copy image to assets directory, cropped if the YAML sets a crop
+        if (crop && isResizable(sourcePath)) {
+          await fs.writeFile(destPath, await cropImage(sourcePath, crop));
+        } else {
+          if (crop) {
+            context.report('asset:crop-skipped', 'warning', `⚠️  Cannot crop ${path.basename(sourcePath)} - only raster images are cropped, the whole image is shown`, { ref: imageRef });
+          }
+          await fs.copy(sourcePath, destPath);
+        }
         
         // Basic optimization: log file size
         const stats = await fs.stat(destPath);
         const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
         
-        console.log(`✅ Copied ${imageRef} → assets/${destFilename} (${fileSizeMB}MB)`);
+        context.report('asset:copied', 'info', `✅ Copied ${imageRef} → assets/${destFilename} (${fileSizeMB}MB)`, {
+          ref: imageRef,
+          sourcePath,
+          path: destPath,
+          bytes: stats.size
+        });
         
         // Optional: Warn about large files
         if (stats.size > 2 * 1024 * 1024) { // 2MB threshold
-          console.log(`⚠️  Large image file: ${destFilename} (${fileSizeMB}MB) - consider optimization`);
+          context.report('asset:large', 'warning', `⚠️  Large image file: ${destFilename} (${fileSizeMB}MB) - consider optimization`, {
+            ref: imageRef,
+            bytes: stats.size
+          });
         }
         
       } else {
-        // Handle missing files gracefully
-        console.log(`❌ Image not found: ${imageRef} (${sourcePath})`);
-        console.log(`📝 Creating placeholder for missing image: assets/${destFilename}`);
-        
-        // Copy sample image as fallback
-        const sampleImageSource = path.join(this.sampleDir, 'images', 'sample_image.jpg');
-        if (await fs.pathExists(sampleImageSource)) {
-          await fs.copy(sampleImageSource, destPath);
-          console.log(`🔄 Used sample image as fallback for ${destFilename}`);
-        } else {
-          console.log(`⚠️  No fallback image available for ${destFilename}`);
-        }
+        // Handle missing files gracefully: the slides show a placeholder in the image's place
+        const usages = options.usages || [];
+        const slideNumbers = [...new Set(usages.map(usage => usage.slideIndex + 1))];
+        const slot = usages.find(usage => usage.slot)?.slot;
+        
+        await fs.writeFile(destPath, createPlaceholderSvg({
+          imageRef,
+          slideNumbers,
+          aspectRatio: slot ? IMAGE_SLOTS[slot].aspectRatio : DEFAULT_ASPECT_RATIO
+        }));
+        
+        const usedOn = slideNumbers.length > 0 ? `Slide(s) ${slideNumbers.join(', ')} show` : 'Showing';
+        context.report('asset:missing', 'warning', `❌ Image not found: ${imageRef} (${sourcePath})\n📝 ${usedOn} a placeholder: assets/${destFilename}`, {
+          ref: imageRef,
+          sourcePath,
+          slides: slideNumbers,
+          path: destPath
+        });
       }
       
     } catch (error) {
-      console.error(`❌ Error copying image ${imageRef}:`, error.message);
+      context.report('asset:failed', 'error', `❌ Error copying image ${imageRef}: ${error.message}`, { ref: imageRef, error });
       // Continue processing other images rather than failing the entire build
     }
   }
 
-  collectImageReferences(slide, imageReferences, slideIndex) {
-    const { type, content } = slide;
+  /**
+   * Collect the images of every slide plus the theme logo
+   * @param {Object} presentationData - Normalized presentation data
+   * @returns {Array<Object>} Unique image sources { ref, src, crop } (see getImageSource), one per reference
+   */
+  collectPresentationImages(presentationData) {
+    const images = new Map();
     
-    switch (type) {
-      case 'image-full':
-      case 'image-1':
-        if (content?.image) imageReferences.add(content.image);
-        break;
-        
-      case 'image-horizontal-2':
-        if (content?.image1) imageReferences.add(content.image1);
-        if (content?.image2) imageReferences.add(content.image2);
-        break;
-        
-      case 'image-2x2':
-        if (content?.image1) imageReferences.add(content.image1);
-        if (content?.image2) imageReferences.add(content.image2);
-        if (content?.image3) imageReferences.add(content.image3);
-        if (content?.image4) imageReferences.add(content.image4);
-        break;
-        
-      case 'image-text-horizontal':
-      case 'image-text-vertical':
-        if (content?.image) imageReferences.add(content.image);
-        break;
-        
-      case 'card-2':
-      case 'card-3':
-        if (content?.cards) {
-          content.cards.forEach(card => {
-            if (card.image) imageReferences.add(card.image);
-          });
-        }
-        break;
+    presentationData.slides.forEach((slide, index) => {
+      this.collectImages(slide, images, index);
+    });
+    
+    if (presentationData.theme?.logo) {
+      const logo = getImageSource(presentationData.theme.logo.src);
+      images.set(logo.ref, logo);
     }
+    
+    return [...images.values()];
+  }
+
+  collectImages(slide, images, slideIndex) {
+    getImageSources(slide).forEach(image => images.set(image.ref, image));
   }
 
 
   /**
    * Generate HTML for multi-slide presentation
    * @param {Object} presentationData - Normalized presentation data
+   * @param {Object} context - Render context of the deck (see createRenderContext)
    * @returns {string} Complete HTML content
    */
-  async generatePresentationHTML(presentationData) {
+  async generatePresentationHTML(presentationData, context) {
+    const { html } = await this.renderDocument(presentationData, context);
+    return html;
+  }
+
+  /**
+   * Render the complete HTML document along with the CSS and JS embedded in it
+   * @param {Object} presentationData - Normalized presentation data
+   * @param {Object} context - Render context of the deck (see createRenderContext)
+   * @returns {Promise<Object>} { html, css, js }
+   */
+  async renderDocument(presentationData, context = this.createRenderContext()) {
     const css = await this.generatePresentationCSS(presentationData);
     const js = await this.generatePresentationJS(presentationData);
     
-    return `<!DOCTYPE html>
+    const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${presentationData.presentation.title}</title>
+    <title>${escapeHtml(presentationData.presentation.title)}</title>
     <meta name="description" content="Generated with PreGen-Minimal">
-    <meta name="author" content="${presentationData.presentation.author}">
+    <meta name="author" content="${escapeAttribute(presentationData.presentation.author)}">
+    ${presentationData.theme?.fonts.stylesheet ? `<link rel="stylesheet" href="${escapeAttribute(presentationData.theme.fonts.stylesheet)}">` : ''}
     <style>
         ${css}
     </style>
 </head>
 <body>
     <div id="presentation-container" class="presentation-container">
-        ${this.generateAllSlidesContent(presentationData)}
+        ${this.generateAllSlidesContent(presentationData, context)}
     </div>
     <script>
         ${js}
     </script>
 </body>
 </html>`;
+    
+    return { html, css, js };
   }
 
   /**
    * Generate content for all slides in presentation - Scroll-snap version
    * @param {Object} presentationData - Normalized presentation data
+   * @param {Object} context - Render context of the deck (see createRenderContext)
    * @returns {string} HTML content for all slides
    */
-  generateAllSlidesContent(presentationData) {
+  generateAllSlidesContent(presentationData, context) {
+    const theme = presentationData.theme || loadTheme(DEFAULT_THEME, this.themesDir);
+    
     const slidesHTML = presentationData.slides.map((slide, index) => {
+      // Resolve the theme variant once so generators only see concrete styles
+      const style = resolveSlideVariant(slide, theme);
+      const mode = theme.variants[style]?.mode || 'light';
+      const logo = showsLogo(slide.type, theme) ?
+        `<img src="${escapeAttribute(this.getImageUrl(theme.logo.src, context))}" alt="${escapeAttribute(theme.logo.alt)}" class="theme-logo ${theme.logo.position}">` :
+        '';
+      
       return `
-        <div class="slide-section" data-slide-index="${index}" data-slide-type="${slide.type}">
-          ${this.generateSlideContent(slide)}
+        <div class="slide-section ${mode}" data-slide-index="${index}" data-slide-type="${escapeAttribute(slide.type)}"${slide.id ? ` data-slide-id="${escapeAttribute(slide.id)}"` : ''}>
+          ${this.generateSlideContent({ ...slide, style }, context)}
+          ${logo}
         </div>
       `;
     }).join('');
@@ -822,59 +2187,33 @@ class PreGenBuilder {
 
 
 
-  generateSlideContent(slideData) {
+  generateSlideContent(slideData, context) {
     const layoutType = slideData.type;
     const style = slideData.style || 'white';
     
-    switch (layoutType) {
-      case 'title-slide':
-        return this.generateTitleSlide(slideData);
-      case 'section-break':
-        return this.generateSectionBreak(slideData);
-      case 'text-left':
-        return this.generateTextLeft(slideData);
-      case 'text-center':
-        return this.generateTextCenter(slideData);
-      case 'image-full':
-        return this.generateImageFull(slideData);
-      case 'image-1':
-        return this.generateImageSingle(slideData);
-      case 'image-horizontal-2':
-        return this.generateImageHorizontal2(slideData);
-      case 'image-2x2':
-        return this.generateImage2x2(slideData);
-      case 'image-text-horizontal':
-        return this.generateImageTextHorizontal(slideData);
-      case 'image-text-vertical':
-        return this.generateImageTextVertical(slideData);
-      case 'list':
-        return this.generateList(slideData);
-      case 'num-list':
-        return this.generateNumList(slideData);
-      case 'card-2':
-        return this.generateCard2(slideData);
-      case 'card-3':
-        return this.generateCard3(slideData);
-      case 'timeline':
-        return this.generateTimeline(slideData);
-      default:
-        return `<div class="slide-container ${style}">
-          <div class="content">
-            <h1>Layout "${layoutType}" not implemented yet</h1>
-            <p>This layout will be implemented in the next phase.</p>
-          </div>
-        </div>`;
+    // Generator methods are looked up in the shared layout registry
+    const layout = getLayout(layoutType);
+    
+    if (layout) {
+      return this[layout.generator](slideData, context);
     }
+    
+    return `<div class="slide-container ${variantClass(style)}">
+      <div class="content">
+        <h1>Layout "${layoutType}" not implemented yet</h1>
+        <p>This layout will be implemented in the next phase.</p>
+      </div>
+    </div>`;
   }
 
   generateTitleSlide(slideData) {
     const style = slideData.style || 'white';
-    const title = slideData.title?.visible ? slideData.title.text : '';
-    const subtitle = slideData.subtitle?.visible ? slideData.subtitle.text : '';
-    const author = slideData.content?.author?.visible ? slideData.content.author.text : '';
-    const date = slideData.content?.date?.visible ? slideData.content.date.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
+    const subtitle = slideData.subtitle?.visible ? escapeHtml(slideData.subtitle.text) : '';
+    const author = slideData.content?.author?.visible ? escapeHtml(slideData.content.author.text) : '';
+    const date = slideData.content?.date?.visible ? escapeHtml(slideData.content.date.text) : '';
     
-    return `<div class="slide-container ${style} title-slide">
+    return `<div class="slide-container ${variantClass(style)} title-slide">
       <div class="content">
         ${title ? `<h1 class="title">${title}</h1>` : ''}
         ${subtitle ? `<h2 class="subtitle">${subtitle}</h2>` : ''}
@@ -886,10 +2225,10 @@ class PreGenBuilder {
 
   generateTextLeft(slideData) {
     const style = slideData.style || 'white';
-    const title = slideData.title?.visible ? slideData.title.text : '';
-    const content = slideData.content?.text || '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
+    const content = renderRichTextBlock(slideData.content?.text);
     
-    return `<div class="slide-container ${style} text-left">
+    return `<div class="slide-container ${variantClass(style)} text-left">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="content">
         <div class="text-content fade-in">
@@ -901,10 +2240,10 @@ class PreGenBuilder {
 
   generateTextCenter(slideData) {
     const style = slideData.style || 'white';
-    const title = slideData.title?.visible ? slideData.title.text : '';
-    const content = slideData.content?.text || '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
+    const content = renderRichTextBlock(slideData.content?.text);
     
-    return `<div class="slide-container ${style} text-center">
+    return `<div class="slide-container ${variantClass(style)} text-center">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="content">
         <div class="text-content fade-in">
@@ -916,10 +2255,10 @@ class PreGenBuilder {
 
   generateSectionBreak(slideData) {
     const style = slideData.style || 'black';
-    const sectionNumber = slideData.content?.number || '01';
-    const sectionTitle = slideData.content?.title || 'Section Title';
+    const sectionNumber = escapeHtml(slideData.content?.number || '01');
+    const sectionTitle = escapeHtml(slideData.content?.title || 'Section Title');
     
-    return `<div class="slide-container ${style} section-break">
+    return `<div class="slide-container ${variantClass(style)} section-break">
       <div class="content">
         <div class="section-number">${sectionNumber}</div>
         <div class="section-title">${sectionTitle}</div>
@@ -927,129 +2266,129 @@ class PreGenBuilder {
     </div>`;
   }
 
-  generateImageFull(slideData) {
+  generateImageFull(slideData, context) {
     const style = slideData.style || 'white';
-    const imageUrl = this.convertToAssetsPath(slideData.content?.image);
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const imageUrl = this.getImageUrl(slideData.content?.image, context);
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     if (!imageUrl) {
       // No image specified - convert to text slide
       return this.generateTextCenter({ ...slideData, content: { text: 'No image specified' } });
     }
     
-    return `<div class="slide-container ${style} image-full">
+    return `<div class="slide-container ${variantClass(style)} image-full">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="image-container">
-        <img src="${imageUrl}" alt="Full screen image" class="full-image">
+        ${this.renderImage(slideData.content.image, slideData.type, { className: 'full-image' }, context)}
       </div>
     </div>`;
   }
 
-  generateImageSingle(slideData) {
+  generateImageSingle(slideData, context) {
     const style = slideData.style || 'white';
-    const imageUrl = this.convertToAssetsPath(slideData.content?.image);
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const imageUrl = this.getImageUrl(slideData.content?.image, context);
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     if (!imageUrl) {
       // No image specified - convert to text slide
       return this.generateTextCenter({ ...slideData, content: { text: 'No image specified' } });
     }
     
-    return `<div class="slide-container ${style} image-single">
+    return `<div class="slide-container ${variantClass(style)} image-single">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="content">
-        <img src="${imageUrl}" alt="Single image" class="single-image">
+        ${this.renderImage(slideData.content.image, slideData.type, { className: 'single-image' }, context)}
       </div>
     </div>`;
   }
 
-  generateImageHorizontal2(slideData) {
+  generateImageHorizontal2(slideData, context) {
     const style = slideData.style || 'white';
     const image1 = slideData.content?.image1 || null;
     const image2 = slideData.content?.image2 || null;
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
-    return `<div class="slide-container ${style} image-horizontal-2">
+    return `<div class="slide-container ${variantClass(style)} image-horizontal-2">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="image-container-left">
-        ${image1 ? `<img src="${image1}" alt="Image 1" class="horizontal-image fade-in-left">` : '<div class="image-placeholder">No Image</div>'}
+        ${image1 ? this.renderImage(image1, slideData.type, { className: 'horizontal-image fade-in-left' }, context) : '<div class="image-placeholder">No Image</div>'}
       </div>
       <div class="image-container-right">
-        ${image2 ? `<img src="${image2}" alt="Image 2" class="horizontal-image fade-in-right">` : '<div class="image-placeholder">No Image</div>'}
+        ${image2 ? this.renderImage(image2, slideData.type, { className: 'horizontal-image fade-in-right' }, context) : '<div class="image-placeholder">No Image</div>'}
       </div>
     </div>`;
   }
 
-  generateImage2x2(slideData) {
+  generateImage2x2(slideData, context) {
     const style = slideData.style || 'white';
     const image1 = slideData.content?.image1 || null;
     const image2 = slideData.content?.image2 || null;
     const image3 = slideData.content?.image3 || null;
     const image4 = slideData.content?.image4 || null;
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
-    return `<div class="slide-container ${style} image-2x2">
+    return `<div class="slide-container ${variantClass(style)} image-2x2">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="grid-container">
         <div class="grid-item top-left">
-          ${image1 ? `<img src="${image1}" alt="Image 1" class="grid-image fade-in-1">` : '<div class="image-placeholder">No Image</div>'}
+          ${image1 ? this.renderImage(image1, slideData.type, { className: 'grid-image fade-in-1' }, context) : '<div class="image-placeholder">No Image</div>'}
         </div>
         <div class="grid-item top-right">
-          ${image2 ? `<img src="${image2}" alt="Image 2" class="grid-image fade-in-2">` : '<div class="image-placeholder">No Image</div>'}
+          ${image2 ? this.renderImage(image2, slideData.type, { className: 'grid-image fade-in-2' }, context) : '<div class="image-placeholder">No Image</div>'}
         </div>
         <div class="grid-item bottom-left">
-          ${image3 ? `<img src="${image3}" alt="Image 3" class="grid-image fade-in-3">` : '<div class="image-placeholder">No Image</div>'}
+          ${image3 ? this.renderImage(image3, slideData.type, { className: 'grid-image fade-in-3' }, context) : '<div class="image-placeholder">No Image</div>'}
         </div>
         <div class="grid-item bottom-right">
-          ${image4 ? `<img src="${image4}" alt="Image 4" class="grid-image fade-in-4">` : '<div class="image-placeholder">No Image</div>'}
+          ${image4 ? this.renderImage(image4, slideData.type, { className: 'grid-image fade-in-4' }, context) : '<div class="image-placeholder">No Image</div>'}
         </div>
       </div>
     </div>`;
   }
 
-  generateImageTextHorizontal(slideData) {
+  generateImageTextHorizontal(slideData, context) {
     const style = slideData.style || 'white';
-    const imageUrl = this.convertToAssetsPath(slideData.content?.image);
+    const imageUrl = this.getImageUrl(slideData.content?.image, context);
     const text = slideData.content?.text || '';
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     if (!imageUrl) {
       // No image specified - convert to text-only slide
       return this.generateTextLeft({ ...slideData, content: { text } });
     }
     
-    return `<div class="slide-container ${style} image-text-horizontal">
+    return `<div class="slide-container ${variantClass(style)} image-text-horizontal">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="image-container-left">
-        <img src="${imageUrl}" alt="Image" class="image-text-image">
+        ${this.renderImage(slideData.content.image, slideData.type, { className: 'image-text-image' }, context)}
       </div>
       <div class="text-container-right">
         <div class="text-content fade-in-after">
-          ${text}
+          ${renderRichTextBlock(text)}
         </div>
       </div>
     </div>`;
   }
 
-  generateImageTextVertical(slideData) {
+  generateImageTextVertical(slideData, context) {
     const style = slideData.style || 'white';
-    const imageUrl = this.convertToAssetsPath(slideData.content?.image);
+    const imageUrl = this.getImageUrl(slideData.content?.image, context);
     const text = slideData.content?.text || '';
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     if (!imageUrl) {
       // No image specified - convert to text-only slide
       return this.generateTextCenter({ ...slideData, content: { text } });
     }
     
-    return `<div class="slide-container ${style} image-text-vertical">
+    return `<div class="slide-container ${variantClass(style)} image-text-vertical">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="image-container-top">
-        <img src="${imageUrl}" alt="Image" class="image-text-image">
+        ${this.renderImage(slideData.content.image, slideData.type, { className: 'image-text-image' }, context)}
       </div>
       <div class="text-container-bottom">
         <div class="text-content fade-in-after">
-          ${text}
+          ${renderRichTextBlock(text)}
         </div>
       </div>
     </div>`;
@@ -1058,7 +2397,7 @@ class PreGenBuilder {
   generateList(slideData) {
     const style = slideData.style || 'white';
     const items = slideData.content?.items || [];
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     // Calculate content density and scaling
     const contentDensity = this.calculateListContentDensity(items, title);
@@ -1066,7 +2405,7 @@ class PreGenBuilder {
     
     const listItems = items.map((item, index) => {
       const delay = 0.3 + (index * 0.15); // Sequential animation
-      return `<li class="list-item" style="animation-delay: ${delay}s;">${item}</li>`;
+      return `<li class="list-item" style="animation-delay: ${delay}s;">${renderRichText(item)}</li>`;
     }).join('');
     
     const isMultiColumn = items.length >= 6;
@@ -1077,7 +2416,7 @@ class PreGenBuilder {
     const rowCount = isMultiColumn ? Math.ceil(items.length / 2) : items.length;
     const gridStyle = isMultiColumn ? `style="grid-template-rows: repeat(${rowCount}, 1fr);"` : '';
     
-    return `<div class="slide-container ${style} list-layout">
+    return `<div class="slide-container ${variantClass(style)} list-layout">
       ${dynamicStyles}
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="content">
@@ -1094,9 +2433,9 @@ class PreGenBuilder {
     const maxItemsPerColumn = isMultiColumn ? Math.ceil(itemCount / 2) : itemCount;
     
     // Calculate total content characteristics
-    const totalLength = items.reduce((sum, item) => sum + item.length, 0);
+    const totalLength = items.reduce((sum, item) => sum + toPlainText(item).length, 0);
     const averageLength = totalLength / itemCount;
-    const longestItem = Math.max(...items.map(item => item.length));
+    const longestItem = Math.max(...items.map(item => toPlainText(item).length));
     
     // Estimate space requirements (more aggressive scaling)
     const availableHeight = hasTitle ? 45 : 55; // Reduced available height for more realistic assessment
@@ -1171,7 +2510,7 @@ class PreGenBuilder {
   generateNumList(slideData) {
     const style = slideData.style || 'white';
     const items = slideData.content?.items || [];
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     // Calculate content density and scaling for numbered lists
     const contentDensity = this.calculateListContentDensity(items, title);
@@ -1179,7 +2518,7 @@ class PreGenBuilder {
     
     const listItems = items.map((item, index) => {
       const delay = 0.3 + (index * 0.15); // Sequential animation
-      return `<li class="num-list-item" style="animation-delay: ${delay}s;">${item}</li>`;
+      return `<li class="num-list-item" style="animation-delay: ${delay}s;">${renderRichText(item)}</li>`;
     }).join('');
     
     const isMultiColumn = items.length >= 6;
@@ -1190,7 +2529,7 @@ class PreGenBuilder {
     const rowCount = isMultiColumn ? Math.ceil(items.length / 2) : items.length;
     const gridStyle = isMultiColumn ? `style="grid-template-rows: repeat(${rowCount}, 1fr);"` : '';
     
-    return `<div class="slide-container ${style} num-list-layout">
+    return `<div class="slide-container ${variantClass(style)} num-list-layout">
       ${dynamicStyles}
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="content">
@@ -1241,57 +2580,57 @@ class PreGenBuilder {
     </style>`;
   }
 
-  generateCard2(slideData) {
+  generateCard2(slideData, context) {
     const style = slideData.style || 'white';
     const cards = slideData.content?.cards || [];
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     const card1 = cards[0] || {};
     const card2 = cards[1] || {};
     
-    return `<div class="slide-container ${style} card-2-layout">
+    return `<div class="slide-container ${variantClass(style)} card-2-layout">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="card-container">
         <div class="card card-left fade-in-card-1">
-          ${card1.image ? `<img src="${this.convertToAssetsPath(card1.image)}" alt="${card1.title || ''}" class="card-image">` : ''}
-          ${card1.title ? `<h3 class="card-title">${card1.title}</h3>` : ''}
-          ${card1.description || card1.text ? `<p class="card-description">${card1.description || card1.text}</p>` : ''}
+          ${card1.image ? this.renderImage(card1.image, slideData.type, { className: 'card-image' }, context) : ''}
+          ${card1.title ? `<h3 class="card-title">${escapeHtml(card1.title)}</h3>` : ''}
+          ${card1.description || card1.text ? `<p class="card-description">${renderRichText(card1.description || card1.text)}</p>` : ''}
         </div>
         <div class="card card-right fade-in-card-2">
-          ${card2.image ? `<img src="${this.convertToAssetsPath(card2.image)}" alt="${card2.title || ''}" class="card-image">` : ''}
-          ${card2.title ? `<h3 class="card-title">${card2.title}</h3>` : ''}
-          ${card2.description || card2.text ? `<p class="card-description">${card2.description || card2.text}</p>` : ''}
+          ${card2.image ? this.renderImage(card2.image, slideData.type, { className: 'card-image' }, context) : ''}
+          ${card2.title ? `<h3 class="card-title">${escapeHtml(card2.title)}</h3>` : ''}
+          ${card2.description || card2.text ? `<p class="card-description">${renderRichText(card2.description || card2.text)}</p>` : ''}
         </div>
       </div>
     </div>`;
   }
 
-  generateCard3(slideData) {
+  generateCard3(slideData, context) {
     const style = slideData.style || 'white';
     const cards = slideData.content?.cards || [];
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
     const card1 = cards[0] || {};
     const card2 = cards[1] || {};
     const card3 = cards[2] || {};
     
-    return `<div class="slide-container ${style} card-3-layout">
+    return `<div class="slide-container ${variantClass(style)} card-3-layout">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="card-container">
         <div class="card card-left fade-in-card-1">
-          ${card1.image ? `<img src="${this.convertToAssetsPath(card1.image)}" alt="${card1.title || ''}" class="card-image">` : ''}
-          ${card1.title ? `<h3 class="card-title">${card1.title}</h3>` : ''}
-          ${card1.description || card1.text ? `<p class="card-description">${card1.description || card1.text}</p>` : ''}
+          ${card1.image ? this.renderImage(card1.image, slideData.type, { className: 'card-image' }, context) : ''}
+          ${card1.title ? `<h3 class="card-title">${escapeHtml(card1.title)}</h3>` : ''}
+          ${card1.description || card1.text ? `<p class="card-description">${renderRichText(card1.description || card1.text)}</p>` : ''}
         </div>
         <div class="card card-center fade-in-card-2">
-          ${card2.image ? `<img src="${this.convertToAssetsPath(card2.image)}" alt="${card2.title || ''}" class="card-image">` : ''}
-          ${card2.title ? `<h3 class="card-title">${card2.title}</h3>` : ''}
-          ${card2.description || card2.text ? `<p class="card-description">${card2.description || card2.text}</p>` : ''}
+          ${card2.image ? this.renderImage(card2.image, slideData.type, { className: 'card-image' }, context) : ''}
+          ${card2.title ? `<h3 class="card-title">${escapeHtml(card2.title)}</h3>` : ''}
+          ${card2.description || card2.text ? `<p class="card-description">${renderRichText(card2.description || card2.text)}</p>` : ''}
         </div>
         <div class="card card-right fade-in-card-3">
-          ${card3.image ? `<img src="${this.convertToAssetsPath(card3.image)}" alt="${card3.title || ''}" class="card-image">` : ''}
-          ${card3.title ? `<h3 class="card-title">${card3.title}</h3>` : ''}
-          ${card3.description || card3.text ? `<p class="card-description">${card3.description || card3.text}</p>` : ''}
+          ${card3.image ? this.renderImage(card3.image, slideData.type, { className: 'card-image' }, context) : ''}
+          ${card3.title ? `<h3 class="card-title">${escapeHtml(card3.title)}</h3>` : ''}
+          ${card3.description || card3.text ? `<p class="card-description">${renderRichText(card3.description || card3.text)}</p>` : ''}
         </div>
       </div>
     </div>`;
@@ -1300,23 +2639,24 @@ class PreGenBuilder {
   generateTimeline(slideData) {
     const style = slideData.style || 'white';
     const events = slideData.content?.events || [];
-    const title = slideData.title?.visible ? slideData.title.text : '';
+    const title = slideData.title?.visible ? escapeHtml(slideData.title.text) : '';
     
-    const timelineItems = events.map((event, index) => {
+    const timelineItems = events.map((item, index) => {
+      const event = getTimelineEvent(item);
       const delay = 0.5 + (index * 0.2);
       return `
         <div class="timeline-item fade-in-timeline" style="animation-delay: ${delay}s;">
           <div class="timeline-node"></div>
-          <div class="timeline-time">${event.time || event.label || ''}</div>
+          <div class="timeline-time">${escapeHtml(event.time)}</div>
           <div class="timeline-content">
-            <h4 class="timeline-event-title">${event.title || event.label || ''}</h4>
-            <p class="timeline-description">${event.description || event.text || ''}</p>
+            <h4 class="timeline-event-title">${escapeHtml(event.title)}</h4>
+            <p class="timeline-description">${renderRichText(event.description)}</p>
           </div>
         </div>
       `;
     }).join('');
     
-    return `<div class="slide-container ${style} timeline-layout">
+    return `<div class="slide-container ${variantClass(style)} timeline-layout">
       ${title ? `<h1 class="slide-title">${title}</h1>` : ''}
       <div class="timeline-scroll-container">
         <div class="timeline-wrapper">
@@ -1343,7 +2683,7 @@ class PreGenBuilder {
 
 html, body {
     height: 100%;
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-family: var(--theme-font-body);
     overflow: hidden;
 }
 
@@ -1356,15 +2696,25 @@ html, body {
     position: relative;
 }
 
-/* Theme Styles */
-.slide-container.black {
-    background-color: #050505;
-    color: #FFFFFF;
+/* Theme variant colors and fonts are generated from the deck theme (see themes.js) */
+
+/* Rich Text (inline Markdown) */
+.text-content p + p {
+    margin-top: 1em;
+}
+
+.slide-container code {
+    font-family: var(--theme-font-monospace);
+    font-size: 0.9em;
+    padding: 0.1em 0.35em;
+    border-radius: 4px;
+    background-color: rgba(127, 127, 127, 0.15);
 }
 
-.slide-container.white {
-    background-color: #FFFFFF;
-    color: #050505;
+.slide-container a {
+    color: inherit;
+    text-decoration: underline;
+    text-underline-offset: 0.15em;
 }
 
 /* Title Slide Layout */
@@ -1744,7 +3094,7 @@ html, body {
     top: 0;
     font-size: 1.8rem;
     line-height: 1.4;
-    color: currentColor;
+    color: var(--theme-accent, currentColor);
 }
 
 /* Numbered List Layout */
@@ -1805,7 +3155,7 @@ html, body {
     font-size: 1.4rem;
     font-weight: 600;
     line-height: 1.6;
-    color: currentColor;
+    color: var(--theme-accent, currentColor);
     min-width: 2rem;
 }
 
@@ -1845,7 +3195,7 @@ html, body {
     transition: transform 0.3s ease;
 }
 
-.card-2-layout.black .card {
+.slide-section.dark .card-2-layout .card {
     background: rgba(0, 0, 0, 0.3);
     border: 1px solid rgba(255, 255, 255, 0.1);
 }
@@ -1911,7 +3261,7 @@ html, body {
     transition: transform 0.3s ease;
 }
 
-.card-3-layout.black .card {
+.slide-section.dark .card-3-layout .card {
     background: rgba(0, 0, 0, 0.3);
     border: 1px solid rgba(255, 255, 255, 0.1);
 }
@@ -1985,7 +3335,7 @@ html, body {
     left: 0;
     right: 0;
     height: 4px;
-    background: currentColor;
+    background: var(--theme-accent, currentColor);
     opacity: 0.3;
     z-index: 1;
 }
@@ -2014,15 +3364,11 @@ html, body {
 .timeline-layout .timeline-node {
     width: 20px;
     height: 20px;
-    background: currentColor;
+    background: var(--theme-accent, currentColor);
     border-radius: 50%;
     position: relative;
     z-index: 3;
-    box-shadow: 0 0 0 4px rgba(255, 255, 255, 1);
-}
-
-.timeline-layout.black .timeline-node {
-    box-shadow: 0 0 0 4px rgba(0, 0, 0, 1);
+    box-shadow: 0 0 0 4px var(--theme-background);
 }
 
 .timeline-layout .timeline-time {
@@ -2247,107 +3593,328 @@ html, body {
         font-size: 2.2rem;
     }
     
-    .timeline-layout .timeline-event-title {
-        font-size: 1.1rem;
+    .timeline-layout .timeline-event-title {
+        font-size: 1.1rem;
+    }
+    
+    .timeline-layout .timeline-description {
+        font-size: 0.85rem;
+    }
+    
+    .timeline-layout .timeline-time {
+        font-size: 0.9rem;
+    }
+    
+    .timeline-layout .timeline-items {
+        gap: 6rem;
+    }
+    
+    .timeline-layout .timeline-item {
+        min-width: 150px;
+        max-width: 250px;
+    }
+}
+
+/* Removed legacy parallax and transition effects - incompatible with scroll-snap */
+
+/* Content Layer Z-Index Management */
+.content,
+.slide-title {
+    position: relative;
+    z-index: 1;
+}
+}
+`;
+  }
+
+  // Removed legacy generateJS() method - incompatible with scroll-snap concept
+
+  // Removed generateTimelineJS() method - timeline navigation integrated into ScrollSnapNavigator
+
+  /**
+   * Generate CSS for multi-slide presentation (extends existing CSS with slide management)
+   * @param {Object} presentationData - Normalized presentation data
+   * @returns {string} Complete CSS with multi-slide support
+   */
+  async generatePresentationCSS(presentationData) {
+    const baseCss = await this.generateCSS(presentationData.slides[0]); // Use first slide as template
+    
+    const multiSlideCss = `
+/* Scroll-Snap Presentation Styles */
+.presentation-container {
+    width: 100vw;
+    height: 100vh;
+    overflow: hidden;
+}
+
+.slides-scroll-container {
+    width: 100%;
+    height: 100vh;
+    overflow-y: scroll;
+    scroll-snap-type: y mandatory;
+    scroll-behavior: smooth;
+    
+    /* Hide scrollbar but keep functionality */
+    scrollbar-width: none; /* Firefox */
+    -ms-overflow-style: none;  /* Internet Explorer 10+ */
+}
+
+.slides-scroll-container::-webkit-scrollbar {
+    display: none; /* Safari and Chrome */
+}
+
+.slide-section {
+    width: 100%;
+    height: 100vh;
+    scroll-snap-align: start;
+    scroll-snap-stop: always;
+    position: relative;
+    display: flex;
+    flex-direction: column;
+    
+    /* Ensure each slide takes full viewport */
+    min-height: 100vh;
+    max-height: 100vh;
+    overflow: hidden;
+}
+}
+
+/* Responsive image wrappers take no part in layout - the <img> inside is styled as before */
+.slide-section picture {
+    display: contents;
+}
+
+/* Captioned images: the figure takes the image's box and the caption overlays its bottom edge */
+.slide-section .image-figure {
+    position: relative;
+    width: 100%;
+    height: 100%;
+    margin: 0;
+}
+
+.slide-section .image-caption {
+    position: absolute;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    padding: 0.4rem 0.75rem;
+    background: rgba(0, 0, 0, 0.6);
+    color: #fff;
+    font-size: 0.9rem;
+    line-height: 1.4;
+    text-align: left;
+}
+
+.slide-section .image-credit {
+    font-size: 0.8em;
+    opacity: 0.8;
+}
+
+.slide-section .image-caption a {
+    color: inherit;
+}
+
+/* Card images are thumbnails - their caption sits below the image */
+.slide-section .card .image-figure {
+    width: auto;
+    height: auto;
+    margin: 0 auto 1.5rem auto;
+}
+
+.slide-section .card .image-figure .card-image {
+    margin-bottom: 0.5rem;
+}
+
+.slide-section .card .image-caption {
+    position: static;
+    padding: 0;
+    background: none;
+    color: inherit;
+    font-size: 0.8rem;
+    text-align: center;
+}
+
+/* Removed legacy presentation UI and parallax effects - not needed with scroll-snap */
+
+/* Essential slide wrapper styles for scroll-snap */
+.slide-wrapper {
+    will-change: transform;
+}
+
+.slide-wrapper .slide-container {
+    will-change: transform;
+}
+
+/* Animation states - Managed by JavaScript Intersection Observer */
+
+/* Print - one 16:9 page per slide with animations in their final state */
+@page {
+    size: 1280px 720px;
+    margin: 0;
+}
+
+@media print {
+    html, body {
+        height: auto;
+        overflow: visible;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+    }
+    
+    .presentation-container,
+    .slides-scroll-container {
+        width: auto;
+        height: auto;
+        overflow: visible;
+        scroll-snap-type: none;
+    }
+    
+    .slide-section {
+        width: 1280px;
+        height: 720px;
+        min-height: 720px;
+        max-height: 720px;
+        break-after: page;
+        page-break-after: always;
     }
     
-    .timeline-layout .timeline-description {
-        font-size: 0.85rem;
+    .slide-section:last-child {
+        break-after: auto;
+        page-break-after: auto;
     }
     
-    .timeline-layout .timeline-time {
-        font-size: 0.9rem;
+    .slide-container {
+        width: 100%;
+        height: 100%;
     }
     
-    .timeline-layout .timeline-items {
-        gap: 6rem;
+    .text-content,
+    .list-item,
+    .num-list-item,
+    .card,
+    .timeline-item,
+    .slide-section img {
+        opacity: 1 !important;
+        transform: none !important;
+        transition: none !important;
+        animation: none !important;
     }
     
-    .timeline-layout .timeline-item {
-        min-width: 150px;
-        max-width: 250px;
+    .presenter-view {
+        display: none;
     }
 }
 
-/* Removed legacy parallax and transition effects - incompatible with scroll-snap */
-
-/* Content Layer Z-Index Management */
-.content,
-.slide-title {
-    position: relative;
-    z-index: 1;
-}
+/* Presenter View (?presenter) - current slide, next slide, notes and timer */
+body.presenter-mode {
+    background: #111111;
+    color: #F5F5F5;
+    overflow: hidden;
 }
-`;
-  }
 
-  // Removed legacy generateJS() method - incompatible with scroll-snap concept
-
-  // Removed generateTimelineJS() method - timeline navigation integrated into ScrollSnapNavigator
+body.presenter-mode .presentation-container {
+    display: none;
+}
 
-  /**
-   * Generate CSS for multi-slide presentation (extends existing CSS with slide management)
-   * @param {Object} presentationData - Normalized presentation data
-   * @returns {string} Complete CSS with multi-slide support
-   */
-  async generatePresentationCSS(presentationData) {
-    const baseCss = await this.generateCSS(presentationData.slides[0]); // Use first slide as template
-    
-    const multiSlideCss = `
-/* Scroll-Snap Presentation Styles */
-.presentation-container {
+.presenter-view {
+    display: grid;
+    grid-template-columns: 3fr 2fr;
+    grid-template-rows: auto auto 1fr;
+    grid-template-areas:
+        "header header"
+        "current next"
+        "current notes";
+    gap: 20px;
     width: 100vw;
     height: 100vh;
-    overflow: hidden;
+    padding: 20px;
+    font-size: 16px;
 }
 
-.slides-scroll-container {
-    width: 100%;
-    height: 100vh;
-    overflow-y: scroll;
-    scroll-snap-type: y mandatory;
-    scroll-behavior: smooth;
-    
-    /* Hide scrollbar but keep functionality */
-    scrollbar-width: none; /* Firefox */
-    -ms-overflow-style: none;  /* Internet Explorer 10+ */
+.presenter-header {
+    grid-area: header;
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    font-size: 20px;
 }
 
-.slides-scroll-container::-webkit-scrollbar {
-    display: none; /* Safari and Chrome */
+.presenter-timer {
+    font-size: 32px;
+    font-variant-numeric: tabular-nums;
+    cursor: pointer;
 }
 
-.slide-section {
-    width: 100%;
-    height: 100vh;
-    scroll-snap-align: start;
-    scroll-snap-stop: always;
-    position: relative;
+.presenter-current { grid-area: current; }
+.presenter-next { grid-area: next; }
+
+.presenter-notes {
+    grid-area: notes;
+    min-height: 0;
     display: flex;
     flex-direction: column;
-    
-    /* Ensure each slide takes full viewport */
-    min-height: 100vh;
-    max-height: 100vh;
+}
+
+.presenter-label {
+    font-size: 13px;
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+    opacity: 0.6;
+    margin-bottom: 8px;
+}
+
+.presenter-frame {
+    position: relative;
+    width: 100%;
+    aspect-ratio: 16 / 9;
     overflow: hidden;
+    background: #000000;
+    border-radius: 4px;
 }
+
+/* Previews render at a fixed size and are scaled down to fit their frame */
+.presenter-frame iframe {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 1280px;
+    height: 720px;
+    border: 0;
+    transform-origin: 0 0;
+    pointer-events: none;
 }
 
-/* Removed legacy presentation UI and parallax effects - not needed with scroll-snap */
+.presenter-end {
+    position: absolute;
+    inset: 0;
+    display: none;
+    align-items: center;
+    justify-content: center;
+    opacity: 0.6;
+}
 
-/* Essential slide wrapper styles for scroll-snap */
-.slide-wrapper {
-    will-change: transform;
+.presenter-next.is-last iframe { visibility: hidden; }
+.presenter-next.is-last .presenter-end { display: flex; }
+
+.presenter-notes-content {
+    flex: 1;
+    overflow-y: auto;
+    font-size: 22px;
+    line-height: 1.5;
 }
 
-.slide-wrapper .slide-container {
-    will-change: transform;
+.presenter-notes-content p + p {
+    margin-top: 0.8em;
 }
 
-/* Animation states - Managed by JavaScript Intersection Observer */
+.presenter-notes-content .presenter-no-notes {
+    opacity: 0.4;
+}
 `;
 
-    return baseCss + multiSlideCss;
+    const themeCss = generateThemeCSS(presentationData.theme || loadTheme(DEFAULT_THEME, this.themesDir));
+
+    return baseCss + multiSlideCss + themeCss;
   }
 
   /**
@@ -2356,6 +3923,7 @@ html, body {
    * @returns {string} Complete JavaScript with multi-slide navigation
    */
   async generatePresentationJS(presentationData) {
+    const theme = presentationData.theme || loadTheme(DEFAULT_THEME, this.themesDir);
     const hasTimeline = presentationData.slides.some(slide => slide.type === 'timeline');
     
     return `
@@ -2365,9 +3933,21 @@ console.log('PreGen-Minimal multi-slide presentation loaded');
 // Presentation configuration
 const PRESENTATION_CONFIG = {
     totalSlides: ${presentationData.slides.length},
-    slides: ${JSON.stringify(presentationData.slides.map(slide => ({ type: slide.type, style: slide.style || 'white' })))}
+    slides: ${JSON.stringify(presentationData.slides.map(slide => ({
+      type: slide.type,
+      id: slide.id || null,
+      style: resolveSlideVariant(slide, theme),
+      notes: slide.notes ? renderRichTextBlock(slide.notes) : ''
+    }))).replace(/</g, '\\u003c')}
 };
 
+// View mode: the audience deck, the presenter window (?presenter) or a slide preview inside it (?preview)
+const VIEW_PARAMS = new URLSearchParams(window.location.search);
+const VIEW_MODE = VIEW_PARAMS.has('presenter') ? 'presenter' : VIEW_PARAMS.has('preview') ? 'preview' : 'audience';
+
+// Audience and presenter windows of the same deck stay in sync over this channel
+const PRESENTER_CHANNEL = 'pregen-presenter:' + window.location.pathname;
+
 // Scroll-Snap Navigation System
 class ScrollSnapNavigator {
     constructor(config) {
@@ -2375,6 +3955,7 @@ class ScrollSnapNavigator {
         this.currentSlide = 0;
         this.scrollContainer = null;
         this.slideElements = [];
+        this.channel = null;
         this.init();
     }
     
@@ -2383,9 +3964,22 @@ class ScrollSnapNavigator {
         this.scrollContainer = document.querySelector('.slides-scroll-container');
         this.slideElements = document.querySelectorAll('.slide-section');
         this.setupScrollTracking();
-        this.setupKeyboardNavigation();
+        
+        // Previews are driven by the presenter window only
+        if (VIEW_MODE === 'preview') {
+            this.setupPreviewMessaging();
+        } else {
+            this.setupKeyboardNavigation();
+            this.setupPresenterSync();
+        }
+        
         this.setupResponsiveHandling();
         this.setupAnimationObserver();
+        this.setupPrintHandling();
+        
+        if (VIEW_MODE === 'audience') {
+            this.setupHistoryNavigation();
+        }
         
         console.log(\`Scroll-snap navigator initialized with \${this.config.totalSlides} slides\`);
     }
@@ -2410,10 +4004,116 @@ class ScrollSnapNavigator {
         const newSlide = Math.round(scrollTop / slideHeight);
         
         if (newSlide !== this.currentSlide && newSlide >= 0 && newSlide < this.config.totalSlides) {
-            this.currentSlide = newSlide;
+            this.setCurrentSlide(newSlide);
+        }
+    }
+    
+    setCurrentSlide(slideIndex) {
+        this.currentSlide = slideIndex;
+        this.broadcastCurrentSlide();
+        this.updateLocationHash();
+    }
+    
+    // Deep links: #/<number> (1-based) or #/<slide id>
+    setupHistoryNavigation() {
+        this.historyEnabled = true;
+        
+        // Back/forward (and edited hashes) move to the slide in the URL
+        window.addEventListener('popstate', () => {
+            const slideIndex = this.getSlideIndexFromHash(window.location.hash);
+            if (slideIndex !== -1) {
+                this.scrollToSlide(slideIndex);
+            }
+        });
+        
+        if (!window.location.hash) return;
+        
+        const initialSlide = this.getSlideIndexFromHash(window.location.hash);
+        if (initialSlide !== -1) {
+            this.scrollToSlide(initialSlide, 'instant');
+        } else {
+            console.warn(\`No slide matches \${window.location.hash}\`);
+        }
+    }
+    
+    getSlideHash(slideIndex) {
+        const slide = this.config.slides[slideIndex];
+        return '#/' + (slide && slide.id ? encodeURIComponent(slide.id) : slideIndex + 1);
+    }
+    
+    getSlideIndexFromHash(hash) {
+        const match = hash.match(/^#\\/(.+)$/);
+        if (!match) return -1;
+        
+        const key = decodeURIComponent(match[1]);
+        const idIndex = this.config.slides.findIndex(slide => slide.id === key);
+        if (idIndex !== -1) return idIndex;
+        
+        if (/^\\d+$/.test(key)) {
+            const slideIndex = parseInt(key, 10) - 1;
+            if (slideIndex >= 0 && slideIndex < this.config.totalSlides) return slideIndex;
+        }
+        
+        return -1;
+    }
+    
+    updateLocationHash() {
+        if (!this.historyEnabled) return;
+        
+        // Each visited slide becomes a history entry; moves caused by back/forward already match the URL
+        const hash = this.getSlideHash(this.currentSlide);
+        if (window.location.hash === hash) return;
+        
+        if (this.getSlideIndexFromHash(window.location.hash) === this.currentSlide) {
+            // Same slide, other spelling (e.g. #/3 for a slide with an id) - just normalize the URL
+            history.replaceState({ slide: this.currentSlide }, '', hash);
+        } else {
+            history.pushState({ slide: this.currentSlide }, '', hash);
         }
     }
     
+    setupPresenterSync() {
+        if (typeof BroadcastChannel === 'undefined') return;
+        
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+        this.channel.addEventListener('message', (event) => {
+            const message = event.data || {};
+            
+            switch (message.type) {
+                case 'goto':
+                    this.scrollToSlide(message.slide);
+                    break;
+                    
+                case 'hello':
+                    // A presenter window opened - tell it where we are
+                    this.broadcastCurrentSlide();
+                    break;
+            }
+        });
+    }
+    
+    broadcastCurrentSlide() {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'slide', slide: this.currentSlide });
+        }
+    }
+    
+    setupPreviewMessaging() {
+        window.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'pregen:preview-slide') {
+                this.scrollToSlide(message.slide, 'instant');
+            }
+        });
+    }
+    
+    openPresenterView() {
+        const presenterUrl = new URL(window.location.href);
+        presenterUrl.search = '?presenter';
+        presenterUrl.hash = '';
+        window.open(presenterUrl.href, 'pregen-presenter', 'width=1280,height=800');
+    }
+    
     setupKeyboardNavigation() {
         document.addEventListener('keydown', (e) => {
             // Check if current slide is timeline for special handling
@@ -2485,6 +4185,14 @@ class ScrollSnapNavigator {
                         document.exitFullscreen();
                     }
                     break;
+                    
+                case 'p':
+                case 'P':
+                    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                        e.preventDefault();
+                        this.openPresenterView();
+                    }
+                    break;
             }
         });
     }
@@ -2601,6 +4309,9 @@ class ScrollSnapNavigator {
         };
         
         this.slideObserver = new IntersectionObserver((entries) => {
+            // Print layout stacks every slide - keep them all in their final state
+            if (this.isPrinting) return;
+            
             entries.forEach(entry => {
                 const slide = entry.target;
                 const slideType = slide.getAttribute('data-slide-type');
@@ -2633,6 +4344,8 @@ class ScrollSnapNavigator {
     }
     
     triggerSlideAnimations(slide, slideType) {
+        if (this.isPrinting) return;
+        
         // Apply layout-specific entrance animations
         switch (slideType) {
             case 'title-slide':
@@ -2709,7 +4422,7 @@ class ScrollSnapNavigator {
     }
     
     showStaticImages(slide) {
-        const images = slide.querySelectorAll('img');
+        const images = slide.querySelectorAll('img:not(.theme-logo)');
         console.log(\`Found \${images.length} static images to show:\`, images);
         
         images.forEach((img, index) => {
@@ -2722,7 +4435,7 @@ class ScrollSnapNavigator {
     }
     
     animateImageSequence(slide, direction) {
-        const images = slide.querySelectorAll('img');
+        const images = slide.querySelectorAll('img:not(.theme-logo)');
         images.forEach((img, index) => {
             img.style.opacity = '0';
             img.style.transform = direction === 'horizontal' ? 'translateX(-30px)' : 'translateY(30px)';
@@ -2736,7 +4449,7 @@ class ScrollSnapNavigator {
     }
     
     animateImageGrid(slide) {
-        const images = slide.querySelectorAll('img');
+        const images = slide.querySelectorAll('img:not(.theme-logo)');
         images.forEach((img, index) => {
             img.style.opacity = '0';
             img.style.transform = 'scale(0.8)';
@@ -2750,7 +4463,7 @@ class ScrollSnapNavigator {
     }
     
     animateImageTextLayout(slide) {
-        const image = slide.querySelector('img');
+        const image = slide.querySelector('img:not(.theme-logo)');
         const textContent = slide.querySelector('.text-content');
         
         if (image) {
@@ -2867,7 +4580,7 @@ class ScrollSnapNavigator {
     
     resetSlideAnimations(slide, slideType) {
         // Reset all animatable elements to initial state
-        const animatableElements = slide.querySelectorAll('.text-content, .list-item, .num-list-item, .card, .timeline-item, img');
+        const animatableElements = slide.querySelectorAll('.text-content, .list-item, .num-list-item, .card, .timeline-item, img:not(.theme-logo)');
         
         animatableElements.forEach(element => {
             element.style.transition = 'none';
@@ -2905,14 +4618,42 @@ class ScrollSnapNavigator {
         console.log(\`🔄 Reset \${animatableElements.length} elements in \${slideType} slide\`);
     }
     
-    scrollToSlide(slideIndex) {
+    setupPrintHandling() {
+        // Browser printing and PDF export both go through beforeprint
+        window.addEventListener('beforeprint', () => {
+            this.isPrinting = true;
+            this.finishAllAnimations();
+        });
+        
+        window.addEventListener('afterprint', () => {
+            this.isPrinting = false;
+        });
+    }
+    
+    finishAllAnimations() {
+        // Drop inline animation states so every element renders as styled
+        const animatableElements = document.querySelectorAll('.text-content, .list-item, .num-list-item, .card, .timeline-item, .slide-section img');
+        
+        animatableElements.forEach(element => {
+            element.style.removeProperty('transition');
+            element.style.removeProperty('opacity');
+            element.style.removeProperty('transform');
+        });
+    }
+    
+    scrollToSlide(slideIndex, behavior = 'smooth') {
         if (slideIndex < 0 || slideIndex >= this.config.totalSlides) return;
         
         const targetY = slideIndex * window.innerHeight;
         this.scrollContainer.scrollTo({
             top: targetY,
-            behavior: 'smooth'
+            behavior: behavior
         });
+        
+        // Instant jumps (e.g. restoring after a live reload) don't wait for scroll tracking
+        if (behavior === 'instant' && slideIndex !== this.currentSlide) {
+            this.setCurrentSlide(slideIndex);
+        }
     }
     
     
@@ -3004,8 +4745,205 @@ class ScrollSnapNavigator {
     }
 }
 
-// Initialize the scroll-snap presentation when DOM is ready
+// Presenter View - current slide, next slide, speaker notes and elapsed timer
+class PresenterView {
+    constructor(config) {
+        this.config = config;
+        this.currentSlide = 0;
+        this.startTime = Date.now();
+        this.channel = null;
+        this.init();
+    }
+    
+    init() {
+        document.body.classList.add('presenter-mode');
+        document.title = 'Presenter: ' + document.title;
+        
+        const previewUrl = new URL(window.location.href);
+        previewUrl.search = '?preview';
+        previewUrl.hash = '';
+        
+        document.body.insertAdjacentHTML('beforeend', \`
+            <div class="presenter-view">
+                <header class="presenter-header">
+                    <span class="presenter-counter"></span>
+                    <span class="presenter-timer" title="Click to reset">00:00:00</span>
+                </header>
+                <section class="presenter-current">
+                    <div class="presenter-label">Current</div>
+                    <div class="presenter-frame"><iframe title="Current slide" tabindex="-1"></iframe></div>
+                </section>
+                <section class="presenter-next">
+                    <div class="presenter-label">Next</div>
+                    <div class="presenter-frame">
+                        <iframe title="Next slide" tabindex="-1"></iframe>
+                        <div class="presenter-end">End of presentation</div>
+                    </div>
+                </section>
+                <section class="presenter-notes">
+                    <div class="presenter-label">Notes</div>
+                    <div class="presenter-notes-content"></div>
+                </section>
+            </div>
+        \`);
+        
+        this.counterElement = document.querySelector('.presenter-counter');
+        this.timerElement = document.querySelector('.presenter-timer');
+        this.notesElement = document.querySelector('.presenter-notes-content');
+        this.nextSection = document.querySelector('.presenter-next');
+        this.currentFrame = document.querySelector('.presenter-current iframe');
+        this.nextFrame = document.querySelector('.presenter-next iframe');
+        
+        [this.currentFrame, this.nextFrame].forEach(frame => {
+            frame.addEventListener('load', () => this.updatePreviews());
+            frame.src = previewUrl.href;
+        });
+        
+        this.setupChannel();
+        this.setupKeyboardNavigation();
+        this.setupTimer();
+        
+        window.addEventListener('resize', () => this.fitPreviews());
+        this.fitPreviews();
+        this.render();
+        
+        console.log('Presenter view initialized');
+    }
+    
+    setupChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel not supported - presenter view cannot follow the audience window');
+            return;
+        }
+        
+        this.channel = new BroadcastChannel(PRESENTER_CHANNEL);
+        this.channel.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'slide') {
+                this.showSlide(message.slide);
+            }
+        });
+        
+        // Ask the audience window for its current slide
+        this.channel.postMessage({ type: 'hello' });
+    }
+    
+    setupKeyboardNavigation() {
+        document.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowRight':
+                case 'PageDown':
+                case ' ':
+                case 'Enter':
+                    e.preventDefault();
+                    this.goToSlide(this.currentSlide + 1);
+                    break;
+                    
+                case 'ArrowUp':
+                case 'ArrowLeft':
+                case 'PageUp':
+                    e.preventDefault();
+                    this.goToSlide(this.currentSlide - 1);
+                    break;
+                    
+                case 'Home':
+                    e.preventDefault();
+                    this.goToSlide(0);
+                    break;
+                    
+                case 'End':
+                    e.preventDefault();
+                    this.goToSlide(this.config.totalSlides - 1);
+                    break;
+                    
+                case 'r':
+                case 'R':
+                    this.resetTimer();
+                    break;
+            }
+        });
+    }
+    
+    goToSlide(slideIndex) {
+        if (slideIndex < 0 || slideIndex >= this.config.totalSlides) return;
+        
+        this.showSlide(slideIndex);
+        if (this.channel) {
+            this.channel.postMessage({ type: 'goto', slide: slideIndex });
+        }
+    }
+    
+    showSlide(slideIndex) {
+        if (slideIndex < 0 || slideIndex >= this.config.totalSlides || slideIndex === this.currentSlide) return;
+        
+        this.currentSlide = slideIndex;
+        this.render();
+    }
+    
+    render() {
+        const slide = this.config.slides[this.currentSlide];
+        const isLast = this.currentSlide >= this.config.totalSlides - 1;
+        
+        this.counterElement.textContent = \`Slide \${this.currentSlide + 1} / \${this.config.totalSlides}\`;
+        this.notesElement.innerHTML = slide.notes || '<p class="presenter-no-notes">No notes for this slide.</p>';
+        this.notesElement.scrollTop = 0;
+        this.nextSection.classList.toggle('is-last', isLast);
+        this.updatePreviews();
+    }
+    
+    updatePreviews() {
+        const isLast = this.currentSlide >= this.config.totalSlides - 1;
+        
+        // Previews may be on another origin (file://), so they are driven by postMessage
+        this.postToPreview(this.currentFrame, this.currentSlide);
+        if (!isLast) {
+            this.postToPreview(this.nextFrame, this.currentSlide + 1);
+        }
+    }
+    
+    postToPreview(frame, slideIndex) {
+        if (frame.contentWindow) {
+            frame.contentWindow.postMessage({ type: 'pregen:preview-slide', slide: slideIndex }, '*');
+        }
+    }
+    
+    fitPreviews() {
+        [this.currentFrame, this.nextFrame].forEach(frame => {
+            const scale = frame.parentElement.clientWidth / 1280;
+            frame.style.transform = \`scale(\${scale})\`;
+        });
+    }
+    
+    setupTimer() {
+        this.timerElement.addEventListener('click', () => this.resetTimer());
+        setInterval(() => this.updateTimer(), 1000);
+    }
+    
+    resetTimer() {
+        this.startTime = Date.now();
+        this.updateTimer();
+    }
+    
+    updateTimer() {
+        const elapsedSeconds = Math.floor((Date.now() - this.startTime) / 1000);
+        const hours = Math.floor(elapsedSeconds / 3600);
+        const minutes = Math.floor((elapsedSeconds % 3600) / 60);
+        const seconds = elapsedSeconds % 60;
+        
+        this.timerElement.textContent = [hours, minutes, seconds]
+            .map(value => String(value).padStart(2, '0'))
+            .join(':');
+    }
+}
+
+// Initialize the scroll-snap presentation (or the presenter view) when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    if (VIEW_MODE === 'presenter') {
+        window.presenterView = new PresenterView(PRESENTATION_CONFIG);
+        return;
+    }
+    
     const navigator = new ScrollSnapNavigator(PRESENTATION_CONFIG);
     
     // Expose navigator globally for debugging
@@ -3016,10 +4954,29 @@ document.addEventListener('DOMContentLoaded', () => {
 
 }
 
-// Run the build process
-if (require.main === module) {
-  const builder = new PreGenBuilder();
-  builder.build().catch(console.error);
+/**
+ * Render a deck in memory with a silent builder - see PreGenBuilder#renderPresentation
+ * @param {string|Object} data - Deck YAML source or an already parsed deck object
+ * @param {Object} [options] - PreGenBuilder options and render options, plus:
+ * @param {Function} [options.onEvent] - Receives every structured progress event
+ * @returns {Promise<Object>} html, css and js of the deck, its asset manifest, presentation data and validation warnings
+ */
+function renderPresentation(data, options = {}) {
+  const builder = new PreGenBuilder({ silent: true, ...options });
+  if (options.onEvent) {
+    builder.on('event', options.onEvent);
+  }
+  
+  return builder.renderPresentation(data, options);
 }
 
 module.exports = PreGenBuilder;
+module.exports.PreGenBuilder = PreGenBuilder;
+module.exports.renderPresentation = renderPresentation;
+
+// Run the command line interface
+if (require.main === module) {
+  require('./cli').run(process.argv.slice(2)).then(exitCode => {
+    if (exitCode !== null) process.exitCode = exitCode;
+  });
+}
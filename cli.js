@@ -0,0 +1,383 @@
+/**
+ * Command Line Interface
+ *
+ * Subcommands of build.js: build, validate, watch, export, new, list and prune.
+ * Output is the builder's structured events, printed as text or as JSON lines,
+ * and the exit code tells validation failures apart from I/O failures.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const PreGenBuilder = require('./build');
+const { ValidationError, IoError, UsageError } = require('./errors');
+const { toJsonReport, toSarif } = require('./diagnostics');
+const { isThemePath } = require('./themes');
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  validation: 3,
+  io: 4
+};
+
+// Validation report formats of "validate --format"
+const REPORT_FORMATS = {
+  json: toJsonReport,
+  sarif: toSarif
+};
+
+// Flags taking a value, mapped to their option name
+const VALUE_FLAGS = {
+  '--content': 'contentDir',
+  '--output': 'outputDir',
+  '--exports': 'exportsDir',
+  '--theme': 'theme',
+  '--title': 'title',
+  '--format': 'format',
+  '--report': 'report',
+  '--concurrency': 'concurrency'
+};
+
+const BOOLEAN_FLAGS = {
+  '--single-file': 'singleFile',
+  '--continue-on-error': 'continueOnError',
+  '--force': 'force',
+  '--dry-run': 'dryRun',
+  '--strict': 'strict',
+  '--quiet': 'quiet',
+  '-q': 'quiet',
+  '--verbose': 'verbose',
+  '-v': 'verbose',
+  '--json': 'json',
+  '--help': 'help',
+  '-h': 'help',
+  '--watch': 'watch' // Legacy spelling of the watch command
+};
+
+const HELP = `
+PreGen-Minimal Build System
+
+Usage:
+  node build.js [command] [deck...] [options]
+
+Commands:
+  build [deck...]              Build decks into the output directory (default)
+  validate [deck...]           Validate decks without writing any output
+  watch                        Rebuild decks whenever their YAML or images change
+  export <pdf|pptx> [deck...]  Export decks to <exports dir>/<deck>.<format>
+  new <deck> [--title <text>]  Create <deck>.yaml in the content directory from a starter template
+  list                         List decks with their title, slide count and theme
+  prune [--dry-run]            Remove output of deleted decks and assets decks no longer use
+
+Options:
+  --content <dir>     Directory holding deck YAML files (default: content/)
+  --output <dir>      Directory built decks are written to (default: presentations/)
+  --exports <dir>     Directory exports are written to (default: exports/ next to the output directory)
+  --theme <theme>     Theme name or path used for every deck instead of the deck's own
+  --single-file       Build each deck as one self-contained index.html
+  --continue-on-error Build every deck it can and summarize failures (exits non-zero if any failed)
+  --concurrency <n>   Decks built at once, and images copied at once per deck (default: CPU count)
+  --force             Rebuild every deck, even those unchanged since the last build
+  --strict            Fail decks that reference missing images instead of showing placeholders
+  --dry-run           List what "prune" would remove without removing it
+  --title <text>      Presentation title of a new deck
+  --format <format>   Validation report format for "validate": json or sarif (printed to stdout)
+  --report <file>     Write the validation report to a file instead (default format: json)
+  --quiet, -q         Only print warnings and errors
+  --verbose, -v       Also print stack traces of failures
+  --json              Print events and the command result as JSON lines
+  --help, -h          Show this help message
+
+Exit Codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid command or arguments
+  3  Validation failed (YAML syntax, schema or slide content)
+  4  I/O failure (missing directories, unreadable or unwritable files)
+
+Examples:
+  node build.js
+  node build.js build pregen --single-file
+  node build.js validate --format sarif --report pregen.sarif
+  node build.js export pdf pregen
+  node build.js new quarterly-review --title "Quarterly Review"
+  node build.js prune --dry-run
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after "node build.js"
+ * @returns {Object} { command, positionals, options }
+ */
+function parseArgs(args) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (VALUE_FLAGS[arg]) {
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith('-')) {
+        throw new UsageError(`Missing value for ${arg}`);
+      }
+      options[VALUE_FLAGS[arg]] = value;
+      i++;
+    } else if (BOOLEAN_FLAGS[arg]) {
+      options[BOOLEAN_FLAGS[arg]] = true;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  let command = options.watch ? 'watch' : 'build';
+  if (positionals.length > 0) {
+    command = positionals.shift();
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}. Commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+  }
+
+  return { command, positionals, options };
+}
+
+/**
+ * Map an error to the exit code CI can gate on
+ * @param {Error} error - Error that ended the command
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  // Continue-on-error builds fail with every deck's error - validation only if all of them are
+  if (error instanceof AggregateError) {
+    const exitCodes = error.errors.map(exitCodeFor);
+    return exitCodes.find(exitCode => exitCode !== EXIT_CODES.validation) ?? EXIT_CODES.validation;
+  }
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof ValidationError) return EXIT_CODES.validation;
+  // Node's file system errors carry the failed system call
+  if (error instanceof IoError || error.syscall) return EXIT_CODES.io;
+  return EXIT_CODES.failure;
+}
+
+/**
+ * Make a value safe for JSON output - errors become { name, message }
+ * @param {Object} value - Event or result
+ * @returns {Object} JSON-friendly copy
+ */
+function toJsonRecord(value) {
+  return JSON.parse(JSON.stringify(value, (key, field) => (
+    field instanceof Error ? { name: field.name, message: field.message } : field
+  )));
+}
+
+/**
+ * Create the output writer for the selected output mode
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} { event, result, text, reported } writers
+ */
+function createOutput(options) {
+  const reported = new WeakSet();
+
+  return {
+    // Errors already shown to the user, so the final failure message is not repeated
+    reported,
+
+    event(event) {
+      if (event.error) reported.add(event.error);
+
+      // A report printed to stdout must stay parseable
+      if (options.silent) return;
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(toJsonRecord(event))}\n`);
+        return;
+      }
+
+      if (options.quiet && event.level === 'info') return;
+
+      if (event.level === 'error') {
+        console.error(event.message);
+        if (options.verbose && event.error?.stack) console.error(event.error.stack);
+      } else {
+        console.log(event.message);
+      }
+    },
+
+    result(result) {
+      if (options.json && !options.silent) {
+        process.stdout.write(`${JSON.stringify(toJsonRecord({ type: 'result', ...result }))}\n`);
+      }
+    },
+
+    // Command output that is not an event, e.g. the deck list - never silenced by --quiet
+    text(message) {
+      if (!options.json) console.log(message);
+    }
+  };
+}
+
+const COMMANDS = {
+  async build(builder, decks, options) {
+    const results = await builder.build(decks, { continueOnError: options.continueOnError });
+    return { exitCode: EXIT_CODES.success, decks: results };
+  },
+
+  async validate(builder, decks, options, output) {
+    const results = await builder.validateDecks(decks);
+    const valid = results.every(result => result.valid);
+
+    if (options.format || options.report) {
+      const report = JSON.stringify(REPORT_FORMATS[options.format || 'json'](results), null, 2);
+
+      if (options.report) {
+        await fs.outputFile(path.resolve(options.report), `${report}\n`);
+        output.text(`📝 Wrote ${(options.format || 'json').toUpperCase()} report to ${options.report}`);
+      } else {
+        process.stdout.write(`${report}\n`);
+      }
+    }
+
+    return {
+      exitCode: valid ? EXIT_CODES.success : EXIT_CODES.validation,
+      decks: results
+    };
+  },
+
+  async watch(builder) {
+    await builder.watch();
+
+    process.once('SIGINT', () => {
+      builder.stopWatching();
+      process.exit(EXIT_CODES.success);
+    });
+
+    // Keep running - the process ends on Ctrl+C
+    return null;
+  },
+
+  async export(builder, [format, ...decks]) {
+    const exports = await builder.exportDecks(format, decks);
+    return { exitCode: EXIT_CODES.success, exports };
+  },
+
+  async new(builder, [deckName], options) {
+    const file = await builder.createDeck(deckName, { title: options.title, theme: options.theme });
+    return { exitCode: EXIT_CODES.success, file };
+  },
+
+  async list(builder, decks, options, output) {
+    const entries = await builder.listDecks();
+    const nameWidth = Math.max(0, ...entries.map(entry => entry.deck.length));
+
+    output.text(`📚 ${entries.length} deck(s) in ${path.relative(process.cwd(), builder.contentDir) || '.'}:`);
+    entries.forEach(entry => {
+      const details = entry.error ?
+        `⚠️  ${entry.error}` :
+        `${entry.title || '(untitled)'} - ${entry.slides} slide(s), theme: ${entry.theme}`;
+      output.text(`   ${entry.deck.padEnd(nameWidth)}  ${details}`);
+    });
+
+    return { exitCode: EXIT_CODES.success, decks: entries };
+  },
+
+  async prune(builder, decks, options) {
+    const removed = await builder.prune({ dryRun: options.dryRun });
+    return { exitCode: EXIT_CODES.success, dryRun: Boolean(options.dryRun), removed };
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Arguments after "node build.js"
+ * @returns {Promise<number|null>} Exit code, or null while a long-running command (watch) keeps going
+ */
+async function run(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Run "node build.js --help" for usage');
+    return EXIT_CODES.usage;
+  }
+
+  const { command, positionals, options } = parsed;
+
+  if (options.help) {
+    console.log(HELP);
+    return EXIT_CODES.success;
+  }
+
+  if (options.format && !REPORT_FORMATS[options.format]) {
+    console.error(`❌ Unknown report format: ${options.format}. Formats: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    return EXIT_CODES.usage;
+  }
+
+  const concurrency = options.concurrency === undefined ? undefined : Number(options.concurrency);
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    console.error(`❌ Invalid --concurrency: ${options.concurrency}. Use a positive whole number`);
+    return EXIT_CODES.usage;
+  }
+
+  // Theme paths on the command line are relative to the working directory, like --content and --output
+  if (options.theme && isThemePath(options.theme)) {
+    options.theme = path.resolve(options.theme);
+  }
+
+  // The report is the only output when it goes to stdout
+  options.silent = command === 'validate' && Boolean(options.format) && !options.report;
+
+  const builder = new PreGenBuilder({
+    silent: true,
+    contentDir: options.contentDir && path.resolve(options.contentDir),
+    outputDir: options.outputDir && path.resolve(options.outputDir),
+    // Exports go next to the built decks unless --exports says otherwise
+    exportsDir: options.exportsDir ?
+      path.resolve(options.exportsDir) :
+      options.outputDir && path.join(path.dirname(path.resolve(options.outputDir)), 'exports'),
+    // "new" writes the theme into the deck instead of overriding it
+    theme: command === 'new' ? null : options.theme,
+    singleFile: options.singleFile,
+    concurrency,
+    force: options.force,
+    strict: options.strict
+  });
+
+  const output = createOutput(options);
+  builder.on('event', event => output.event(event));
+
+  try {
+    const result = await COMMANDS[command](builder, positionals, options, output);
+    if (!result) return null;
+
+    output.result({ command, ok: result.exitCode === EXIT_CODES.success, ...result });
+    return result.exitCode;
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    output.result({ command, ok: false, exitCode, error });
+
+    if (!options.json) {
+      if (!output.reported.has(error)) {
+        console.error(`❌ ${command} failed: ${error.message}`);
+        if (options.verbose && error.stack) console.error(error.stack);
+      }
+
+      // Enhanced error reporting with recovery suggestions
+      if (!options.quiet && (command === 'build' || command === 'watch') && exitCode !== EXIT_CODES.usage) {
+        builder.reportBuildFailure(error instanceof AggregateError ? error.errors[0] : error);
+      }
+    }
+
+    return exitCode;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  exitCodeFor,
+  run
+};
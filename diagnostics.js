@@ -0,0 +1,190 @@
+/**
+ * Validation Diagnostics
+ *
+ * Validators report problems as structured diagnostics rather than strings, so the
+ * console, the JSON and SARIF reports of `validate` and the AI retry loop all
+ * consume the same data. Each diagnostic carries its file and position, the slide
+ * index and type, the field path, a severity, a rule id and a message.
+ */
+
+const path = require('path');
+const { version } = require('./package.json');
+
+const TOOL_NAME = 'pregen-minimal';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Descriptions of the rule ids validators report; schema/<keyword> ids come from JSON Schema keywords
+const RULES = {
+  'yaml/syntax': 'YAML must parse',
+  'yaml/root-type': 'The YAML root must be a mapping',
+  'deck/invalid': 'The deck or its theme cannot be loaded',
+  'deck/metadata': 'Decks should have a title and an author',
+  'deck/slides-required': 'Decks need a slides array',
+  'deck/no-slides': 'Decks need at least one slide',
+  'slide/type-required': 'Slides need a type',
+  'slide/unknown-type': 'Slide types must be registered layouts',
+  'slide/unknown-style': 'Slide styles must be variants of the deck theme',
+  'slide/duplicate-id': 'Slide ids must be unique within a deck',
+  'slide/validation-failed': 'Slide content could not be validated',
+  'notes/type': 'Speaker notes must be a string',
+  'content/title-slide-empty': 'Title slides should show a title, author or date',
+  'content/section-break-incomplete': 'Section breaks should have a number and a title',
+  'content/text-required': 'Text layouts need content.text',
+  'content/image-required': 'Image layouts need their image fields',
+  'content/image-crop': 'Image crops must lie inside the image',
+  'content/image-alt': 'Images should have alt text for screen readers',
+  'content/items-required': 'List layouts need a content.items array',
+  'content/items-empty': 'Lists should have items',
+  'content/items-too-many': 'Long lists are hard to read',
+  'content/events-required': 'Timelines need a content.events array',
+  'content/events-empty': 'Timelines should have events',
+  'content/event-incomplete': 'Timeline events should have a time or title',
+  'content/cards-required': 'Card layouts need a content.cards array',
+  'content/card-count': 'Card layouts need their exact number of cards',
+  'asset/missing': 'Referenced images must exist (strict mode)',
+  'asset/unresolved': 'Image sources in the built HTML must resolve to deck files',
+  'schema/required': 'Required fields must be present',
+  'schema/additionalProperties': 'Fields must be known to the layout',
+  'schema/enum': 'Values must be one of the allowed values',
+  'schema/type': 'Values must have the expected type'
+};
+
+/**
+ * Create a diagnostic
+ * @param {string} severity - error or warning
+ * @param {string} ruleId - Rule id, e.g. "content/text-required"
+ * @param {string} message - Message without file or slide prefix
+ * @param {Object} [details] - file, line, column, slideIndex (0-based), slideType and path (segments from the document root)
+ * @returns {Object} Diagnostic
+ */
+function createDiagnostic(severity, ruleId, message, details = {}) {
+  return {
+    file: details.file ?? null,
+    line: details.line ?? null,
+    column: details.column ?? null,
+    slideIndex: details.slideIndex ?? null,
+    slideType: details.slideType ?? null,
+    path: details.path || [],
+    severity,
+    ruleId,
+    message
+  };
+}
+
+/**
+ * Format path segments as a field path, e.g. slides[3].content.text
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Field path
+ */
+function formatPath(segments) {
+  return segments
+    .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+    .join('');
+}
+
+/**
+ * Describe a diagnostic without its file location, e.g. "Slide 3: Missing required field"
+ * @param {Object|string} diagnostic - Diagnostic (plain strings are returned as is)
+ * @returns {string} Message with slide prefix
+ */
+function describeDiagnostic(diagnostic) {
+  if (typeof diagnostic === 'string') {
+    return diagnostic;
+  }
+
+  const slidePrefix = diagnostic.slideIndex !== null ? `Slide ${diagnostic.slideIndex + 1}: ` : '';
+  return `${slidePrefix}${diagnostic.message}`;
+}
+
+/**
+ * Format a diagnostic as one line of console text, e.g. "content/deck.yaml:12:5 - Slide 3: ..."
+ * @param {Object|string} diagnostic - Diagnostic (plain strings are returned as is)
+ * @returns {string} Formatted diagnostic
+ */
+function formatDiagnostic(diagnostic) {
+  if (typeof diagnostic === 'string') {
+    return diagnostic;
+  }
+
+  const position = diagnostic.line !== null ? `:${diagnostic.line}:${diagnostic.column}` : '';
+  const location = diagnostic.file ? `${diagnostic.file}${position} - ` : '';
+  return `${location}${describeDiagnostic(diagnostic)}`;
+}
+
+/**
+ * Build the JSON report of a validate run
+ * @param {Array<Object>} results - One { deck, file, valid, diagnostics } result per deck
+ * @returns {Object} JSON report
+ */
+function toJsonReport(results) {
+  const diagnostics = results.flatMap(result => result.diagnostics);
+
+  return {
+    tool: TOOL_NAME,
+    version,
+    valid: results.every(result => result.valid),
+    summary: {
+      decks: results.length,
+      invalid: results.filter(result => !result.valid).length,
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length
+    },
+    decks: results.map(({ deck, file, valid }) => ({ deck, file, valid })),
+    diagnostics
+  };
+}
+
+/**
+ * Build the SARIF 2.1.0 log of a validate run, e.g. for GitHub code scanning
+ * @param {Array<Object>} results - One { deck, file, valid, diagnostics } result per deck
+ * @returns {Object} SARIF log
+ */
+function toSarif(results) {
+  const diagnostics = results.flatMap(result => result.diagnostics);
+  const ruleIds = [...new Set(diagnostics.map(diagnostic => diagnostic.ruleId))];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: RULES[id] || id }
+          }))
+        }
+      },
+      results: diagnostics.map(diagnostic => ({
+        ruleId: diagnostic.ruleId,
+        ruleIndex: ruleIds.indexOf(diagnostic.ruleId),
+        level: diagnostic.severity === 'error' ? 'error' : 'warning',
+        message: { text: describeDiagnostic(diagnostic) },
+        locations: diagnostic.file ? [{
+          physicalLocation: {
+            // SARIF URIs always use forward slashes
+            artifactLocation: { uri: diagnostic.file.split(path.sep).join('/') },
+            ...(diagnostic.line !== null ? { region: { startLine: diagnostic.line, startColumn: diagnostic.column } } : {})
+          },
+          ...(diagnostic.path.length > 0 ? { logicalLocations: [{ fullyQualifiedName: formatPath(diagnostic.path) }] } : {})
+        }] : [],
+        properties: {
+          slideIndex: diagnostic.slideIndex,
+          slideType: diagnostic.slideType
+        }
+      }))
+    }]
+  };
+}
+
+module.exports = {
+  RULES,
+  createDiagnostic,
+  formatPath,
+  describeDiagnostic,
+  formatDiagnostic,
+  toJsonReport,
+  toSarif
+};
@@ -0,0 +1,47 @@
+/**
+ * Error Types
+ *
+ * Failures the CLI reports with their own exit code. Node's file system errors
+ * (with a `syscall`) count as I/O failures too; anything else is unexpected.
+ */
+
+/**
+ * Deck or theme content is invalid: YAML syntax, schema or content validation
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {Array<Object>} [diagnostics] - Structured diagnostics behind it (see diagnostics.js)
+   */
+  constructor(message, diagnostics = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * A required file or directory cannot be read or written
+ */
+class IoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IoError';
+  }
+}
+
+/**
+ * A command was called with invalid arguments, e.g. an unknown deck or export format
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+module.exports = {
+  ValidationError,
+  IoError,
+  UsageError
+};
@@ -0,0 +1,139 @@
+/**
+ * Image Options
+ *
+ * Image fields take a plain path or an object with the path (`src`) and per-image
+ * options: alt text, a visible caption and credit, how the image fills its box (`fit`),
+ * the point kept in view when it is cropped to fill (`focus`) and a crop rectangle
+ * applied to the copied file (`crop`). Focus and crop are percentages of the image.
+ */
+
+// Crops are set with crop: { x, y, width, height } and never read from a path, so a
+// "#crop=" suffix is reported instead of ending up in the file name
+const CROP_SUFFIX = /#crop=/;
+
+const percentSchema = { type: 'number', minimum: 0, maximum: 100 };
+const sizeSchema = { type: 'number', exclusiveMinimum: 0, maximum: 100 };
+
+// Image field: a path, or { src, ...options }
+const IMAGE_SCHEMA = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: {
+        src: { type: 'string', description: 'Image path' },
+        alt: { type: 'string', description: 'Alternative text describing what the image shows for screen readers; empty for purely decorative images' },
+        caption: { type: 'string', description: 'Caption shown with the image (inline Markdown)' },
+        credit: { type: 'string', description: 'Attribution shown after the caption, e.g. "Photo: Jane Doe" (inline Markdown)' },
+        fit: {
+          type: 'string',
+          enum: ['cover', 'contain'],
+          description: 'cover fills the box and crops the overflow, contain shows the whole image'
+        },
+        focus: {
+          type: 'array',
+          items: percentSchema,
+          minItems: 2,
+          maxItems: 2,
+          description: 'Focal point [x, y] in percent of the image, kept in view when cropped to fill'
+        },
+        crop: {
+          type: 'object',
+          properties: {
+            x: percentSchema,
+            y: percentSchema,
+            width: sizeSchema,
+            height: sizeSchema
+          },
+          required: ['x', 'y', 'width', 'height'],
+          additionalProperties: false,
+          description: 'Region of the image to keep, in percent of the image'
+        }
+      },
+      required: ['src'],
+      additionalProperties: false
+    }
+  ]
+};
+
+/**
+ * Get the source of an image field value: the file and the region of it to show
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {Object|null} { ref, src, crop } with crop { x, y, width, height } or null, and ref
+ *   naming the pair - each crop of a file is copied, hashed and resized on its own; null when there is no path
+ */
+function getImageSource(image) {
+  const src = typeof image === 'string' ? image : image?.src;
+  if (typeof src !== 'string' || !src) {
+    return null;
+  }
+
+  const crop = typeof image === 'object' && image.crop ? image.crop : null;
+  return {
+    ref: crop ? `${src} [crop ${[crop.x, crop.y, crop.width, crop.height].join(',')}]` : src,
+    src,
+    crop
+  };
+}
+
+/**
+ * Get the reference of an image field value, its crop included
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {string|null} Image reference (see getImageSource), or null when there is no path
+ */
+function getImageRef(image) {
+  return getImageSource(image)?.ref || null;
+}
+
+/**
+ * Check whether an image path carries a "#crop=" suffix instead of a crop object
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {boolean} True when the path has a crop suffix
+ */
+function hasCropSuffix(image) {
+  const src = typeof image === 'string' ? image : image?.src;
+  return typeof src === 'string' && CROP_SUFFIX.test(src);
+}
+
+/**
+ * Get the options of an image field value
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {Object} { alt, caption, credit, fit, focus } - each null unless set in YAML
+ */
+function getImageOptions(image) {
+  if (!image || typeof image !== 'object') {
+    return { alt: null, caption: null, credit: null, fit: null, focus: null };
+  }
+
+  return {
+    alt: typeof image.alt === 'string' ? image.alt : null,
+    caption: image.caption || null,
+    credit: image.credit || null,
+    fit: image.fit || null,
+    focus: Array.isArray(image.focus) && image.focus.length === 2 ? image.focus : null
+  };
+}
+
+/**
+ * Inline CSS applying an image's fit and focal point over its layout's defaults
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {string} CSS declarations, empty without options
+ */
+function getImageStyle(image) {
+  const { fit, focus } = getImageOptions(image);
+  const declarations = [];
+
+  if (fit) declarations.push(`object-fit: ${fit}`);
+  if (focus) declarations.push(`object-position: ${focus[0]}% ${focus[1]}%`);
+
+  return declarations.join('; ');
+}
+
+module.exports = {
+  IMAGE_SCHEMA,
+  getImageSource,
+  getImageRef,
+  hasCropSuffix,
+  getImageOptions,
+  getImageStyle
+};
@@ -0,0 +1,50 @@
+/**
+ * Missing Image Placeholders
+ *
+ * A referenced image that does not exist is replaced by a generated SVG naming the
+ * missing path and the slides using it, drawn in the aspect ratio of the slot the
+ * image would fill - so the deck still shows what belongs where.
+ */
+
+const { escapeHtml } = require('./rich-text');
+
+// Width of the placeholder canvas; the height follows the aspect ratio
+const CANVAS_WIDTH = 1600;
+
+// Aspect ratio of images outside a layout slot, e.g. the theme logo
+const DEFAULT_ASPECT_RATIO = [16, 9];
+
+/**
+ * Create the placeholder SVG of a missing image
+ * @param {Object} details - Placeholder details
+ * @param {string} details.imageRef - Image reference from YAML
+ * @param {Array<number>} details.slideNumbers - 1-based numbers of the slides using the image
+ * @param {Array<number>} [details.aspectRatio] - Intended [width, height] ratio
+ * @returns {string} SVG document
+ */
+function createPlaceholderSvg({ imageRef, slideNumbers, aspectRatio = DEFAULT_ASPECT_RATIO }) {
+  const [ratioWidth, ratioHeight] = aspectRatio;
+  const height = Math.round(CANVAS_WIDTH * ratioHeight / ratioWidth);
+  // Scale the text with the shorter side, so tall placeholders stay readable
+  const fontSize = Math.round(Math.min(CANVAS_WIDTH, height) / 18);
+  // Long paths shrink to fit the width (at roughly 0.6em per character)
+  const pathFontSize = Math.round(Math.min(fontSize, CANVAS_WIDTH * 0.9 / (imageRef.length * 0.6)));
+  const slides = slideNumbers.length > 0 ?
+    `${slideNumbers.length === 1 ? 'Slide' : 'Slides'} ${slideNumbers.join(', ')} · ${ratioWidth}:${ratioHeight}` :
+    `${ratioWidth}:${ratioHeight}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CANVAS_WIDTH}" height="${height}" viewBox="0 0 ${CANVAS_WIDTH} ${height}">
+  <rect x="4" y="4" width="${CANVAS_WIDTH - 8}" height="${height - 8}" fill="#f3f4f6" stroke="#9ca3af" stroke-width="8" stroke-dasharray="32 16"/>
+  <g font-family="system-ui, -apple-system, sans-serif" text-anchor="middle" fill="#4b5563">
+    <text x="50%" y="${Math.round(height / 2 - fontSize * 1.4)}" font-size="${Math.round(fontSize * 1.3)}" font-weight="600">Missing image</text>
+    <text x="50%" y="${Math.round(height / 2 + fontSize * 0.4)}" font-size="${pathFontSize}">${escapeHtml(imageRef)}</text>
+    <text x="50%" y="${Math.round(height / 2 + fontSize * 1.9)}" font-size="${Math.round(fontSize * 0.8)}" fill="#6b7280">${escapeHtml(slides)}</text>
+  </g>
+</svg>
+`;
+}
+
+module.exports = {
+  DEFAULT_ASPECT_RATIO,
+  createPlaceholderSvg
+};
@@ -0,0 +1,157 @@
+/**
+ * Responsive Image Variants
+ *
+ * Resizes slide images for the slot their layout gives them (full-bleed, half-width,
+ * quarter-size or card thumbnail) and encodes every size as AVIF and WebP. The HTML
+ * lists the variants as <picture> sources with srcset/sizes and keeps the original
+ * copy as the <img> fallback, so projectors get full resolution and phones small files.
+ * Crop rectangles from YAML (see image-options.js) are applied to that copy here too.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Variant widths in pixels (1x and 2x displays), the sizes attribute and the
+// intended aspect ratio (used by missing image placeholders) of each layout slot
+const IMAGE_SLOTS = {
+  full: { widths: [640, 1280, 1920, 2560], sizes: '100vw', aspectRatio: [16, 9] },
+  half: { widths: [480, 960, 1440], sizes: '50vw', aspectRatio: [8, 9] },
+  quarter: { widths: [320, 640, 960], sizes: '40vw', aspectRatio: [16, 9] },
+  thumbnail: { widths: [240, 480], sizes: '30vw', aspectRatio: [4, 3] }
+};
+
+// Modern formats in order of preference - browsers use the first <source> they support.
+// AVIF at low effort encodes several times faster for slightly larger files.
+const VARIANT_FORMATS = [
+  { format: 'avif', mimeType: 'image/avif', options: { effort: 2 } },
+  { format: 'webp', mimeType: 'image/webp', options: {} }
+];
+
+// Raster formats that are resized; SVG and (possibly animated) GIF are only copied
+const RESIZABLE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'];
+
+/**
+ * Load sharp, which ships native binaries per platform
+ * @returns {Function} sharp
+ */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    throw new Error(`Responsive images require sharp - run "npm install" (${error.message})`);
+  }
+}
+
+/**
+ * Check whether variants can be created from an image
+ * @param {string} imagePath - Image file
+ * @returns {boolean} True for resizable raster formats
+ */
+function isResizable(imagePath) {
+  return RESIZABLE_EXTENSIONS.includes(path.extname(imagePath).toLowerCase());
+}
+
+/**
+ * Read the displayed width of an image, EXIF rotation applied
+ * @param {string} imagePath - Image file
+ * @returns {Promise<number>} Width in pixels
+ */
+async function getImageWidth(imagePath) {
+  const metadata = await loadSharp()(imagePath).metadata();
+  // Orientations 5-8 are rotated by 90 degrees
+  return metadata.orientation >= 5 ? metadata.height : metadata.width;
+}
+
+/**
+ * Crop an image to a region given in percent of its displayed size, EXIF rotation applied
+ * @param {string} imagePath - Image file
+ * @param {Object} crop - { x, y, width, height } in percent
+ * @returns {Promise<Buffer>} Cropped image in the original's format
+ */
+async function cropImage(imagePath, crop) {
+  const sharp = loadSharp();
+  const metadata = await sharp(imagePath).metadata();
+  const [width, height] = metadata.orientation >= 5 ?
+    [metadata.height, metadata.width] :
+    [metadata.width, metadata.height];
+
+  const left = Math.min(Math.round(width * crop.x / 100), width - 1);
+  const top = Math.min(Math.round(height * crop.y / 100), height - 1);
+
+  return sharp(imagePath)
+    .rotate()
+    .extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(Math.round(width * crop.width / 100), width - left)),
+      height: Math.max(1, Math.min(Math.round(height * crop.height / 100), height - top))
+    })
+    .toBuffer();
+}
+
+/**
+ * Plan the variants of an image. Images are never upscaled: slot widths above the
+ * original are replaced by the original width.
+ * @param {string} assetsPath - Assets path of the original copy, e.g. "assets/photo.1a2b3c4d.jpg"
+ * @param {number} sourceWidth - Width of the original in pixels
+ * @param {Iterable<string>} slots - Slots the image fills
+ * @returns {Array<Object>} { width, format, mimeType, path } per variant, path relative to the deck directory
+ */
+function planVariants(assetsPath, sourceWidth, slots) {
+  const widths = new Set();
+  for (const slot of slots) {
+    IMAGE_SLOTS[slot].widths.forEach(width => widths.add(Math.min(width, sourceWidth)));
+  }
+
+  const extension = path.extname(assetsPath);
+  const basePath = assetsPath.slice(0, assetsPath.length - extension.length);
+
+  return [...widths]
+    .sort((a, b) => a - b)
+    .flatMap(width => VARIANT_FORMATS.map(({ format, mimeType }) => ({
+      width,
+      format,
+      mimeType,
+      path: `${basePath}-${width}w.${format}`
+    })));
+}
+
+/**
+ * Write the variants that don't exist yet. Variant names carry the original's content
+ * hash, so an existing file is current; new files are written under a temporary name
+ * first, so an interrupted build never leaves a truncated variant behind.
+ * @param {string} imagePath - Original image
+ * @param {string} deckDir - Directory the variant paths are relative to
+ * @param {Array<Object>} variants - Variants from planVariants()
+ * @returns {Promise<number>} Number of variants written
+ */
+async function writeVariants(imagePath, deckDir, variants) {
+  const sharp = loadSharp();
+  let written = 0;
+
+  for (const variant of variants) {
+    const variantPath = path.join(deckDir, variant.path);
+    if (await fs.pathExists(variantPath)) continue;
+
+    const tempPath = `${variantPath}.tmp`;
+    await sharp(imagePath)
+      .rotate()
+      .resize({ width: variant.width, withoutEnlargement: true })
+      .toFormat(variant.format, VARIANT_FORMATS.find(({ format }) => format === variant.format).options)
+      .toFile(tempPath);
+    await fs.move(tempPath, variantPath, { overwrite: true });
+    written++;
+  }
+
+  return written;
+}
+
+module.exports = {
+  IMAGE_SLOTS,
+  VARIANT_FORMATS,
+  isResizable,
+  getImageWidth,
+  cropImage,
+  planVariants,
+  writeVariants
+};
@@ -0,0 +1,486 @@
+/**
+ * Layout Registry
+ *
+ * Single source of truth for slide layouts shared by build.js and ai-generator.js.
+ * Each layout declares its content schema, the builder method that renders it,
+ * the content fields holding images and the slot size they fill (see image-variants.js),
+ * and the guidance given to the AI generator.
+ * Validation, AI structured output and rendering all derive from this registry.
+ */
+
+const { toPlainText } = require('./rich-text');
+const { createDiagnostic, formatPath } = require('./diagnostics');
+const { IMAGE_SCHEMA, getImageSource, hasCropSuffix } = require('./image-options');
+
+// Slide styles of the default theme (themes/default.yaml); custom themes declare their own variants
+const SLIDE_STYLES = ['black', 'white'];
+
+// Body text: a plain string (HTML-escaped) or { html } with sanitized inline markup
+const richTextSchema = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: {
+        html: { type: 'string', description: 'Inline HTML, sanitized to an allowlist of inline tags' }
+      },
+      required: ['html'],
+      additionalProperties: false
+    }
+  ]
+};
+
+// Speaker notes: shown in the presenter view only, never on the audience slides
+const NOTES_SCHEMA = {
+  type: 'string',
+  description: 'Speaker notes (inline Markdown), shown only in the presenter view'
+};
+
+// Slide id: a URL slug for deep links (#/<id>); must start with a letter so it never reads as a slide number
+const SLIDE_ID_SCHEMA = {
+  type: 'string',
+  pattern: '^[a-zA-Z][a-zA-Z0-9_-]*$',
+  description: 'Slide id used in deep links, e.g. #/pricing'
+};
+
+const visibleTextSchema = {
+  type: 'object',
+  properties: {
+    visible: { type: 'boolean' },
+    text: { type: 'string' }
+  },
+  required: ['visible', 'text'],
+  additionalProperties: false
+};
+
+const textContentSchema = {
+  type: 'object',
+  properties: {
+    text: richTextSchema
+  },
+  required: ['text'],
+  additionalProperties: false
+};
+
+const imageTextContentSchema = {
+  type: 'object',
+  properties: {
+    image: IMAGE_SCHEMA,
+    text: richTextSchema
+  },
+  required: ['image', 'text'],
+  additionalProperties: false
+};
+
+const listContentSchema = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: richTextSchema
+    }
+  },
+  required: ['items'],
+  additionalProperties: false
+};
+
+/**
+ * Build the content schema for card layouts
+ * @param {number} count - Exact number of cards
+ * @returns {Object} JSON Schema for card content
+ */
+function cardContentSchema(count) {
+  return {
+    type: 'object',
+    properties: {
+      cards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            image: IMAGE_SCHEMA,
+            title: { type: 'string' },
+            description: richTextSchema,
+            text: { ...richTextSchema, description: 'Alias of description' }
+          },
+          additionalProperties: false
+        },
+        minItems: count,
+        maxItems: count
+      }
+    },
+    required: ['cards'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the content schema for image layouts
+ * @param {Array<string>} fields - Required image field names
+ * @returns {Object} JSON Schema for image content
+ */
+function imageContentSchema(fields) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fields.map(field => [field, IMAGE_SCHEMA])),
+    required: fields,
+    additionalProperties: false
+  };
+}
+
+const LAYOUTS = {
+  'title-slide': {
+    generator: 'generateTitleSlide',
+    imageFields: [],
+    guidance: 'Opening slide with title, subtitle, author, date (always use black theme)',
+    contentSchema: {
+      type: 'object',
+      properties: {
+        author: visibleTextSchema,
+        date: visibleTextSchema
+      },
+      additionalProperties: false
+    }
+  },
+  'section-break': {
+    generator: 'generateSectionBreak',
+    imageFields: [],
+    guidance: 'Major section dividers with numbers and titles (use black theme) - MUST include content.number and content.title',
+    contentSchema: {
+      type: 'object',
+      properties: {
+        number: { type: 'string' },
+        title: { type: 'string' }
+      },
+      required: ['number', 'title'],
+      additionalProperties: false
+    }
+  },
+  'text-left': {
+    generator: 'generateTextLeft',
+    imageFields: [],
+    guidance: 'Standard text content (use white theme)',
+    contentSchema: textContentSchema
+  },
+  'text-center': {
+    generator: 'generateTextCenter',
+    imageFields: [],
+    guidance: 'Quotes, key statements, important messages (use white theme)',
+    contentSchema: textContentSchema
+  },
+  'image-full': {
+    generator: 'generateImageFull',
+    imageFields: ['image'],
+    imageSlot: 'full',
+    guidance: 'Full-screen impact images (any theme)',
+    contentSchema: imageContentSchema(['image'])
+  },
+  'image-1': {
+    generator: 'generateImageSingle',
+    imageFields: ['image'],
+    imageSlot: 'full',
+    guidance: 'Single centered image (any theme)',
+    contentSchema: imageContentSchema(['image'])
+  },
+  'image-horizontal-2': {
+    generator: 'generateImageHorizontal2',
+    imageFields: ['image1', 'image2'],
+    imageSlot: 'half',
+    guidance: 'Two images side by side (any theme)',
+    contentSchema: imageContentSchema(['image1', 'image2'])
+  },
+  'image-2x2': {
+    generator: 'generateImage2x2',
+    imageFields: ['image1', 'image2', 'image3', 'image4'],
+    imageSlot: 'quarter',
+    guidance: 'Four images in grid (any theme)',
+    contentSchema: imageContentSchema(['image1', 'image2', 'image3', 'image4'])
+  },
+  'image-text-horizontal': {
+    generator: 'generateImageTextHorizontal',
+    imageFields: ['image'],
+    imageSlot: 'half',
+    guidance: 'Image left, text right (any theme)',
+    contentSchema: imageTextContentSchema
+  },
+  'image-text-vertical': {
+    generator: 'generateImageTextVertical',
+    imageFields: ['image'],
+    imageSlot: 'full',
+    guidance: 'Image top, text bottom (any theme)',
+    contentSchema: imageTextContentSchema
+  },
+  'list': {
+    generator: 'generateList',
+    imageFields: [],
+    guidance: 'Bullet points (use white theme)',
+    contentSchema: listContentSchema
+  },
+  'num-list': {
+    generator: 'generateNumList',
+    imageFields: [],
+    guidance: 'Numbered lists (use white theme)',
+    contentSchema: listContentSchema
+  },
+  'card-2': {
+    generator: 'generateCard2',
+    imageFields: [],
+    cardCount: 2,
+    imageSlot: 'thumbnail',
+    guidance: 'Two feature cards (use white theme)',
+    contentSchema: cardContentSchema(2)
+  },
+  'card-3': {
+    generator: 'generateCard3',
+    imageFields: [],
+    cardCount: 3,
+    imageSlot: 'thumbnail',
+    guidance: 'Three feature cards (use white theme)',
+    contentSchema: cardContentSchema(3)
+  },
+  'timeline': {
+    generator: 'generateTimeline',
+    imageFields: [],
+    guidance: 'Horizontal timeline events (use white theme)',
+    contentSchema: {
+      type: 'object',
+      properties: {
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              time: { type: 'string' },
+              label: { type: 'string', description: 'Alias of time' },
+              title: { type: 'string' },
+              description: richTextSchema,
+              text: { ...richTextSchema, description: 'Alias of description' }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['events'],
+      additionalProperties: false
+    }
+  }
+};
+
+const LAYOUT_TYPES = Object.keys(LAYOUTS);
+
+/**
+ * Get the registry entry for a layout type
+ * @param {string} type - Slide layout type
+ * @returns {Object|null} Layout definition or null for unknown types
+ */
+function getLayout(type) {
+  return Object.prototype.hasOwnProperty.call(LAYOUTS, type) ? LAYOUTS[type] : null;
+}
+
+/**
+ * Collect every image field of a slide that holds a reference, card images included
+ * @param {Object} slide - Slide data
+ * @returns {Array<Object>} { ref, source, image, path } in slide order - image being the YAML value
+ *   (a path or an image object, see image-options.js), source its { ref, src, crop } and path
+ *   segments relative to the slide
+ */
+function getImageFields(slide) {
+  const layout = getLayout(slide.type);
+  const content = slide.content;
+  if (!layout || !content) {
+    return [];
+  }
+
+  const fields = layout.imageFields
+    .map(field => ({ image: content[field], path: ['content', field] }));
+
+  if (layout.cardCount && Array.isArray(content.cards)) {
+    content.cards.forEach((card, index) => {
+      fields.push({ image: card?.image, path: ['content', 'cards', index, 'image'] });
+    });
+  }
+
+  return fields
+    .map(field => ({ ...field, source: getImageSource(field.image) }))
+    .filter(field => field.source)
+    .map(field => ({ ...field, ref: field.source.ref }));
+}
+
+/**
+ * Collect the source of every image of a slide, card images included
+ * @param {Object} slide - Slide data
+ * @returns {Array<Object>} { ref, src, crop } sources (see getImageSource) in slide order
+ */
+function getImageSources(slide) {
+  return getImageFields(slide).map(field => field.source);
+}
+
+/**
+ * Validate content structure based on slide type
+ * @param {Object} slide - Slide data to validate
+ * @param {number} slideNumber - Slide number for error reporting
+ * @param {Array} errors - Array to collect error diagnostics
+ * @param {Array} warnings - Array to collect warning diagnostics
+ */
+function validateSlideContent(slide, slideNumber, errors, warnings) {
+  const { type, content, title } = slide;
+  const layout = getLayout(type);
+
+  const slideIndex = slideNumber - 1;
+  const error = (ruleId, message, field = []) => errors.push(createDiagnostic('error', ruleId, message, {
+    slideIndex, slideType: type, path: ['slides', slideIndex, ...field]
+  }));
+  const warning = (ruleId, message, field = []) => warnings.push(createDiagnostic('warning', ruleId, message, {
+    slideIndex, slideType: type, path: ['slides', slideIndex, ...field]
+  }));
+
+  if (slide.notes !== undefined && slide.notes !== null && typeof slide.notes !== 'string') {
+    error('notes/type', 'Speaker notes must be a string', ['notes']);
+  }
+
+  if (!layout) {
+    return; // Unknown types are reported by the structural validators
+  }
+
+  getImageFields(slide).forEach(({ image, path }) => {
+    // alt: "" marks a decorative image on purpose
+    if (typeof image?.alt !== 'string') {
+      warning('content/image-alt', `Image ${formatPath(path)} has no alt text - describe it with alt (or set alt: "" if it is decorative)`, path);
+    }
+
+    if (hasCropSuffix(image)) {
+      error('content/image-crop', `Image ${formatPath(path)} has a #crop= suffix - set the region with crop: { x, y, width, height } instead`, typeof image === 'string' ? path : [...path, 'src']);
+    }
+
+    const crop = image?.crop;
+    if (crop && (crop.x + crop.width > 100 || crop.y + crop.height > 100)) {
+      error('content/image-crop', `Crop of ${formatPath(path)} extends past the image - x + width and y + height must not exceed 100`, [...path, 'crop']);
+    }
+  });
+
+  switch (type) {
+    case 'title-slide':
+      if (!title?.text && !content?.author?.text && !content?.date?.text) {
+        warning('content/title-slide-empty', 'Title slide has no visible content (title, author, or date)');
+      }
+      break;
+
+    case 'section-break':
+      if (!content?.number && !content?.title) {
+        warning('content/section-break-incomplete', 'Section break missing number and title', ['content']);
+      }
+      break;
+
+    case 'text-left':
+    case 'text-center':
+      if (toPlainText(content?.text).trim() === '') {
+        error('content/text-required', 'Text layout requires content.text field', ['content', 'text']);
+      }
+      break;
+
+    case 'image-text-horizontal':
+    case 'image-text-vertical':
+      if (!content?.image) {
+        error('content/image-required', 'Image-text layout requires content.image field', ['content', 'image']);
+      }
+      if (toPlainText(content?.text).trim() === '') {
+        error('content/text-required', 'Image-text layout requires content.text field', ['content', 'text']);
+      }
+      break;
+
+    case 'list':
+    case 'num-list':
+      if (!content?.items || !Array.isArray(content.items)) {
+        error('content/items-required', 'List layout requires content.items array', ['content', 'items']);
+      } else if (content.items.length === 0) {
+        warning('content/items-empty', 'List layout has empty items array', ['content', 'items']);
+      } else if (content.items.length > 12) {
+        warning('content/items-too-many', `List has ${content.items.length} items - consider splitting for better readability`, ['content', 'items']);
+      }
+      break;
+
+    case 'timeline':
+      if (!content?.events || !Array.isArray(content.events)) {
+        error('content/events-required', 'Timeline layout requires content.events array', ['content', 'events']);
+      } else if (content.events.length === 0) {
+        warning('content/events-empty', 'Timeline layout has empty events array', ['content', 'events']);
+      } else {
+        content.events.forEach((event, eventIndex) => {
+          if (!event?.time && !event?.label && !event?.title) {
+            warning('content/event-incomplete', `Timeline event ${eventIndex + 1} missing time and title`, ['content', 'events', eventIndex]);
+          }
+        });
+      }
+      break;
+
+    default:
+      if (layout.cardCount) {
+        if (!content?.cards || !Array.isArray(content.cards)) {
+          error('content/cards-required', `${capitalize(type)} layout requires content.cards array`, ['content', 'cards']);
+        } else if (content.cards.length !== layout.cardCount) {
+          error('content/card-count', `${capitalize(type)} layout requires exactly ${layout.cardCount} cards, found ${content.cards.length}`, ['content', 'cards']);
+        }
+      } else if (layout.imageFields.length > 0) {
+        const missingImages = layout.imageFields.filter(field => !content?.[field]);
+        if (missingImages.length > 0) {
+          error('content/image-required', `${capitalize(type)} layout requires content.${missingImages.join(', content.')} field(s)`, ['content', missingImages[0]]);
+        }
+      }
+      break;
+  }
+}
+
+/**
+ * Check that slide ids are unique within a deck
+ * @param {Array} slides - Slides of the deck
+ * @param {Array} errors - Array to collect error diagnostics
+ */
+function validateSlideIds(slides, errors) {
+  const firstSlideById = new Map();
+
+  slides.forEach((slide, index) => {
+    if (!slide || typeof slide.id !== 'string') return;
+
+    if (firstSlideById.has(slide.id)) {
+      errors.push(createDiagnostic('error', 'slide/duplicate-id', `Duplicate slide id "${slide.id}" (already used by slide ${firstSlideById.get(slide.id)})`, {
+        slideIndex: index,
+        slideType: slide.type,
+        path: ['slides', index, 'id']
+      }));
+    } else {
+      firstSlideById.set(slide.id, index + 1);
+    }
+  });
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Read the fields of a timeline event with their aliases resolved:
+ * label is an alias of time, text an alias of description
+ * @param {Object} event - Timeline event from YAML
+ * @returns {Object} { time, title, description } - time and title are '' when unset
+ */
+function getTimelineEvent(event) {
+  return {
+    time: event.time || event.label || '',
+    title: event.title || '',
+    description: event.description || event.text
+  };
+}
+
+module.exports = {
+  LAYOUTS,
+  LAYOUT_TYPES,
+  SLIDE_STYLES,
+  NOTES_SCHEMA,
+  SLIDE_ID_SCHEMA,
+  getLayout,
+  getImageFields,
+  getImageSources,
+  validateSlideContent,
+  validateSlideIds,
+  getTimelineEvent
+};
@@ -0,0 +1,97 @@
+/**
+ * PDF Export
+ *
+ * Prints built decks with headless Chrome (Puppeteer) through the deck's own
+ * print stylesheet: one 16:9 page per slide, with every animation in its final state.
+ */
+
+const fs = require('fs-extra');
+const { pathToFileURL } = require('url');
+
+// Slide page size in CSS pixels (16:9), matching @page in the generated print stylesheet
+const PAGE_WIDTH = 1280;
+const PAGE_HEIGHT = 720;
+
+/**
+ * Count the pages of a PDF by its page objects (Chrome writes them uncompressed)
+ * @param {Buffer} pdf - PDF file content
+ * @returns {number} Number of pages
+ */
+function countPdfPages(pdf) {
+  return (pdf.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+}
+
+class PdfExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {Object} [options.launchOptions] - Extra Puppeteer launch options
+   */
+  constructor(options = {}) {
+    this.launchOptions = options.launchOptions || {};
+    this.browser = null;
+  }
+
+  /**
+   * Start the headless browser (shared by every deck exported with this instance)
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.browser) return;
+
+    let puppeteer;
+    try {
+      puppeteer = require('puppeteer');
+    } catch (error) {
+      throw new Error(`PDF export requires the optional "puppeteer" package - run "npm install puppeteer" (${error.message})`);
+    }
+
+    this.browser = await puppeteer.launch({ headless: true, ...this.launchOptions });
+  }
+
+  /**
+   * Print a built presentation to PDF
+   * @param {Object} deck - Deck to export
+   * @param {string} deck.htmlPath - Path to the deck's built index.html
+   * @param {string} outputPath - PDF file to write
+   * @returns {Promise<Object>} { outputPath, pages, warnings } - pages counted in the written PDF, no warnings (kept for parity with PptxExporter)
+   */
+  async exportDeck({ htmlPath }, outputPath) {
+    await this.open();
+    const page = await this.browser.newPage();
+
+    try {
+      await page.setViewport({ width: PAGE_WIDTH, height: PAGE_HEIGHT });
+      await page.goto(pathToFileURL(htmlPath).href, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      // Same path as the browser's print dialog - the runtime finishes all animations on beforeprint
+      await page.evaluate(() => window.dispatchEvent(new Event('beforeprint')));
+
+      const pdf = await page.pdf({
+        width: `${PAGE_WIDTH}px`,
+        height: `${PAGE_HEIGHT}px`,
+        printBackground: true,
+        preferCSSPageSize: true
+      });
+
+      await fs.writeFile(outputPath, pdf);
+      return { outputPath, pages: countPdfPages(Buffer.from(pdf)), warnings: [] };
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Shut down the headless browser
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+}
+
+module.exports = PdfExporter;
+module.exports.countPdfPages = countPdfPages;
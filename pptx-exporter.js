@@ -0,0 +1,678 @@
+/**
+ * PowerPoint Export
+ *
+ * Writes normalized presentation data (from parsePresentation) to an editable .pptx.
+ * Every layout maps to native PowerPoint text boxes, shapes and pictures placed to
+ * match the HTML layout, colored from the slide's theme variant. Speaker notes become
+ * PowerPoint notes and images come from the deck's copied assets.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const PptxGenJS = require('pptxgenjs');
+const { imageSize } = require('image-size');
+const { renderRichText, renderRichTextBlock, toPlainText, decodeEntities } = require('./rich-text');
+const { resolveSlideVariant, showsLogo } = require('./themes');
+const { getImageSource, getImageOptions } = require('./image-options');
+const { getTimelineEvent } = require('./layouts');
+
+// 16:9 slide in inches (PowerPoint "Widescreen")
+const SLIDE_WIDTH = 13.333;
+const SLIDE_HEIGHT = 7.5;
+
+// Font size of 1rem in points at slide size
+const REM = 12;
+
+const MODE_COLORS = {
+  light: { background: 'FFFFFF', text: '050505' },
+  dark: { background: '050505', text: 'FFFFFF' }
+};
+
+const GENERIC_FONTS = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace', 'BlinkMacSystemFont'];
+
+/**
+ * Convert a CSS hex color to PowerPoint's RRGGBB form
+ * @param {string} value - CSS color
+ * @param {string} fallback - RRGGBB color used for non-hex values
+ * @returns {string} RRGGBB color
+ */
+function toPptxColor(value, fallback) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) {
+    return fallback;
+  }
+
+  const hex = match[1].length === 3 ? match[1].split('').map(char => char + char).join('') : match[1];
+  return hex.toUpperCase();
+}
+
+/**
+ * Pick the first concrete font family of a CSS font stack
+ * @param {string} fontStack - CSS font-family value
+ * @param {string} fallback - Font used when the stack only has generic families
+ * @returns {string} Font face name
+ */
+function primaryFont(fontStack, fallback) {
+  const family = String(fontStack || '')
+    .split(',')
+    .map(name => name.trim().replace(/^['"]|['"]$/g, ''))
+    .find(name => name && !name.startsWith('-') && !GENERIC_FONTS.includes(name));
+
+  return family || fallback;
+}
+
+/**
+ * Join an image's caption and credit into one line of inline Markdown
+ * @param {string|Object} image - Image path or image object from YAML
+ * @returns {string} Caption line, empty without caption and credit
+ */
+function formatCaption(image) {
+  const { caption, credit } = getImageOptions(image);
+  return [caption, credit].filter(Boolean).join(' · ');
+}
+
+/**
+ * Convert rich text HTML (see rich-text.js) into PowerPoint text runs
+ * @param {string} html - Safe HTML from renderRichText/renderRichTextBlock
+ * @param {Object} fonts - Deck fonts ({ monospace })
+ * @returns {Array<Object>} pptxgenjs text runs
+ */
+function htmlToTextRuns(html, fonts) {
+  const runs = [];
+  const open = [];
+  const pattern = /<(\/?)([a-z]+)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/gi;
+  let match;
+
+  const breakLine = () => {
+    if (runs.length > 0) {
+      runs[runs.length - 1].options.breakLine = true;
+    }
+  };
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[4] !== undefined) {
+      const text = decodeEntities(match[4]);
+      if (text.trim() === '' && /\n/.test(text)) continue; // Whitespace between paragraphs
+
+      const options = {};
+      open.forEach(tag => {
+        if (tag.name === 'strong' || tag.name === 'b') options.bold = true;
+        if (tag.name === 'em' || tag.name === 'i') options.italic = true;
+        if (tag.name === 's') options.strike = 'sngStrike';
+        if (tag.name === 'u') options.underline = { style: 'sng' };
+        if (tag.name === 'sup') options.superscript = true;
+        if (tag.name === 'sub') options.subscript = true;
+        if (tag.name === 'code' || tag.name === 'kbd') options.fontFace = fonts.monospace;
+        if (tag.name === 'a' && tag.href) options.hyperlink = { url: tag.href };
+      });
+      runs.push({ text, options });
+      continue;
+    }
+
+    const isClosing = match[1] === '/';
+    const name = match[2].toLowerCase();
+
+    if (name === 'br') {
+      breakLine();
+    } else if (name === 'p') {
+      if (isClosing) breakLine();
+    } else if (isClosing) {
+      const index = open.map(tag => tag.name).lastIndexOf(name);
+      if (index !== -1) open.splice(index, 1);
+    } else {
+      const href = /href="([^"]*)"/.exec(match[3]);
+      open.push({ name, href: href ? decodeEntities(href[1]) : null });
+    }
+  }
+
+  // The last paragraph needs no trailing break
+  if (runs.length > 0) {
+    delete runs[runs.length - 1].options.breakLine;
+  }
+
+  return runs;
+}
+
+class PptxExporter {
+  /**
+   * Write a presentation to a .pptx file
+   * @param {Object} deck - Deck to export
+   * @param {Object} deck.presentationData - Normalized presentation data
+   * @param {Function} deck.resolveImage - Maps an image source { ref, src, crop } (see image-options.js) to its copied asset path
+   * @param {string} outputPath - .pptx file to write
+   * @returns {Promise<Object>} { outputPath, pages, warnings } - warnings being messages about images left out
+   */
+  async exportDeck(deck, outputPath) {
+    const { presentationData, resolveImage } = deck;
+    const theme = presentationData.theme;
+
+    const pptx = new PptxGenJS();
+    pptx.layout = 'LAYOUT_WIDE';
+    pptx.title = presentationData.presentation.title;
+    pptx.author = presentationData.presentation.author;
+    pptx.company = 'Generated with PreGen-Minimal';
+
+    // Deck state is passed to every call instead of kept on the exporter, so exports never share it
+    const deckContext = {
+      theme,
+      resolveImage,
+      fonts: {
+        body: primaryFont(theme.fonts.body, 'Arial'),
+        heading: primaryFont(theme.fonts.heading, 'Arial'),
+        monospace: primaryFont(theme.fonts.monospace, 'Courier New')
+      },
+      warnings: []
+    };
+
+    presentationData.slides.forEach(slideData => {
+      const slide = pptx.addSlide();
+      const style = resolveSlideVariant(slideData, theme);
+      // Slide context: the deck's theme, fonts, image resolver and warnings plus the variant's colors
+      const context = { ...deckContext, colors: this.getVariantColors(theme, style) };
+
+      slide.background = { color: context.colors.background };
+      this.addLayout(slide, context, { ...slideData, style });
+
+      if (showsLogo(slideData.type, theme)) {
+        this.addLogo(slide, context);
+      }
+
+      if (slideData.notes) {
+        slide.addNotes(toPlainText(slideData.notes));
+      }
+    });
+
+    await fs.ensureDir(path.dirname(outputPath));
+    await pptx.writeFile({ fileName: outputPath });
+
+    return { outputPath, pages: presentationData.slides.length, warnings: deckContext.warnings };
+  }
+
+  async close() {
+    // Nothing to release - kept for parity with PdfExporter
+  }
+
+  /**
+   * Resolve the PowerPoint colors of a theme variant
+   * @param {Object} theme - Deck theme (see themes.js)
+   * @param {string} style - Variant name
+   * @returns {Object} RRGGBB colors: background, text, accent, card, cardBorder
+   */
+  getVariantColors(theme, style) {
+    const variant = theme.variants[style] || {};
+    const mode = variant.mode === 'dark' ? 'dark' : 'light';
+    const background = toPptxColor(variant.background, MODE_COLORS[mode].background);
+    const text = toPptxColor(variant.text, MODE_COLORS[mode].text);
+
+    return {
+      mode,
+      background,
+      text,
+      accent: toPptxColor(variant.accent || theme.accent, text),
+      card: mode === 'dark' ? '1A1A1A' : 'F5F5F5',
+      cardBorder: mode === 'dark' ? '333333' : 'DDDDDD'
+    };
+  }
+
+  addLayout(slide, context, slideData) {
+    switch (slideData.type) {
+      case 'title-slide':
+        return this.addTitleSlide(slide, context, slideData);
+      case 'section-break':
+        return this.addSectionBreak(slide, context, slideData);
+      case 'text-left':
+        return this.addText(slide, context, slideData, 'left');
+      case 'text-center':
+        return this.addText(slide, context, slideData, 'center');
+      case 'image-full':
+        return this.addImageFull(slide, context, slideData);
+      case 'image-1':
+        return this.addImageSingle(slide, context, slideData);
+      case 'image-horizontal-2':
+        return this.addImageHorizontal2(slide, context, slideData);
+      case 'image-2x2':
+        return this.addImage2x2(slide, context, slideData);
+      case 'image-text-horizontal':
+        return this.addImageTextHorizontal(slide, context, slideData);
+      case 'image-text-vertical':
+        return this.addImageTextVertical(slide, context, slideData);
+      case 'list':
+        return this.addList(slide, context, slideData, false);
+      case 'num-list':
+        return this.addList(slide, context, slideData, true);
+      case 'card-2':
+      case 'card-3':
+        return this.addCards(slide, context, slideData);
+      case 'timeline':
+        return this.addTimeline(slide, context, slideData);
+      default:
+        slide.addText(`Layout "${slideData.type}" is not supported in PowerPoint export`, this.textOptions(context, {
+          x: 1, y: 3, w: SLIDE_WIDTH - 2, h: 1.5, align: 'center', fontSize: 2 * REM
+        }));
+    }
+  }
+
+  /**
+   * Base text box options in the slide's colors and body font
+   * @param {Object} context - Slide context (see exportDeck)
+   * @param {Object} options - pptxgenjs text options to merge
+   * @returns {Object} Text options
+   */
+  textOptions(context, options) {
+    return {
+      color: context.colors.text,
+      fontFace: context.fonts.body,
+      valign: 'top',
+      margin: 0,
+      fit: 'shrink',
+      ...options
+    };
+  }
+
+  addSlideTitle(slide, context, slideData, align = 'center') {
+    if (!slideData.title?.visible || !slideData.title.text) return;
+
+    slide.addText(slideData.title.text, this.textOptions(context, {
+      x: align === 'left' ? SLIDE_WIDTH * 0.15 : 0.5,
+      y: SLIDE_HEIGHT * 0.03,
+      w: align === 'left' ? SLIDE_WIDTH * 0.8 : SLIDE_WIDTH - 1,
+      h: 1.1,
+      align,
+      valign: 'middle',
+      fontFace: context.fonts.heading,
+      fontSize: 3.5 * REM,
+      bold: true
+    }));
+  }
+
+  addRichText(slide, context, value, box, options = {}) {
+    const runs = htmlToTextRuns(options.block ? renderRichTextBlock(value) : renderRichText(value), context.fonts);
+    if (runs.length === 0) return;
+
+    const { block, ...textOptions } = options;
+    slide.addText(runs, this.textOptions(context, { ...box, paraSpaceAfter: block ? 0.6 * REM : 0, ...textOptions }));
+  }
+
+  /**
+   * Place an image inside a box
+   * @param {Object} slide - pptxgenjs slide
+   * @param {Object} context - Slide context (see exportDeck)
+   * @param {string|Object} image - Image path or image object from YAML
+   * @param {Object} box - Target box { x, y, w, h } in inches
+   * @param {string} [defaultFit] - 'contain' (letterboxed) or 'cover' (cropped to fill), unless the image sets its own
+   * @param {boolean} [overlayCaption] - Show the caption over the bottom of the box (false: the caller places it)
+   */
+  addImage(slide, context, image, box, defaultFit = 'contain', overlayCaption = true) {
+    const source = getImageSource(image);
+    const options = getImageOptions(image);
+    const fit = options.fit || defaultFit;
+    const [focusX, focusY] = options.focus || [50, 50];
+    const imagePath = source ? context.resolveImage(source) : null;
+    const dimensions = imagePath ? this.readImageSize(imagePath, context) : null;
+
+    if (!dimensions) {
+      // Same placeholder as the HTML layouts
+      slide.addText('No Image', this.textOptions(context, {
+        ...box,
+        align: 'center',
+        valign: 'middle',
+        fontSize: 1.2 * REM,
+        fill: { color: context.colors.card },
+        line: { color: context.colors.cardBorder, width: 1 }
+      }));
+      return;
+    }
+
+    const imageRatio = dimensions.width / dimensions.height;
+    const boxRatio = box.w / box.h;
+
+    if (fit === 'cover') {
+      const w = imageRatio > boxRatio ? box.h * imageRatio : box.w;
+      const h = imageRatio > boxRatio ? box.h : box.w / imageRatio;
+      // Crop the overflow around the focal point, like object-position in the HTML
+      const crop = { x: (w - box.w) * focusX / 100, y: (h - box.h) * focusY / 100, w: box.w, h: box.h };
+      slide.addImage({ path: imagePath, x: box.x, y: box.y, w, h, altText: options.alt || '', sizing: { type: 'crop', ...crop } });
+    } else {
+      const w = imageRatio > boxRatio ? box.w : box.h * imageRatio;
+      const h = imageRatio > boxRatio ? box.w / imageRatio : box.h;
+      slide.addImage({ path: imagePath, x: box.x + (box.w - w) * focusX / 100, y: box.y + (box.h - h) * focusY / 100, w, h, altText: options.alt || '' });
+    }
+
+    const caption = formatCaption(image);
+    if (overlayCaption && caption) {
+      // Same strip over the bottom edge as the HTML caption
+      const height = Math.min(0.45, box.h / 3);
+      this.addRichText(slide, context, caption, { x: box.x, y: box.y + box.h - height, w: box.w, h: height }, {
+        color: 'FFFFFF',
+        fill: { color: '000000', transparency: 40 },
+        margin: [0, 6, 0, 6],
+        valign: 'middle',
+        fontSize: 0.9 * REM
+      });
+    }
+  }
+
+  readImageSize(imagePath, context) {
+    try {
+      if (!fs.existsSync(imagePath)) return null;
+      const { width, height } = imageSize(fs.readFileSync(imagePath));
+      return width && height ? { width, height } : null;
+    } catch (error) {
+      context.warnings.push(`Skipped unreadable image ${imagePath} (${error.message})`);
+      return null;
+    }
+  }
+
+  addLogo(slide, context) {
+    const logo = context.theme.logo;
+    const dimensions = this.readImageSize(logo.src, context);
+    if (!dimensions) return;
+
+    const h = 0.4;
+    const w = h * dimensions.width / dimensions.height;
+    const margin = 0.3;
+    const x = logo.position.endsWith('left') ? margin : SLIDE_WIDTH - margin - w;
+    const y = logo.position.startsWith('top') ? margin : SLIDE_HEIGHT - margin - h;
+
+    slide.addImage({ path: logo.src, x, y, w, h, altText: logo.alt });
+  }
+
+  addTitleSlide(slide, context, slideData) {
+    const left = SLIDE_WIDTH * 0.15;
+    const width = SLIDE_WIDTH * 0.7;
+    const lines = [];
+
+    if (slideData.title?.visible && slideData.title.text) {
+      lines.push({ text: slideData.title.text, options: { fontFace: context.fonts.heading, fontSize: 4 * REM, bold: true, breakLine: true, paraSpaceAfter: REM } });
+    }
+    if (slideData.subtitle?.visible && slideData.subtitle.text) {
+      lines.push({ text: slideData.subtitle.text, options: { fontFace: context.fonts.heading, fontSize: 2 * REM, breakLine: true, paraSpaceAfter: 2 * REM } });
+    }
+    if (slideData.content?.author?.visible && slideData.content.author.text) {
+      lines.push({ text: slideData.content.author.text, options: { fontSize: 1.2 * REM, breakLine: true, paraSpaceAfter: 0.5 * REM } });
+    }
+    if (slideData.content?.date?.visible && slideData.content.date.text) {
+      lines.push({ text: slideData.content.date.text, options: { fontSize: REM } });
+    }
+
+    if (lines.length > 0) {
+      delete lines[lines.length - 1].options.breakLine;
+      slide.addText(lines, this.textOptions(context, { x: left, y: SLIDE_HEIGHT * 0.25, w: width, h: SLIDE_HEIGHT * 0.6 }));
+    }
+  }
+
+  addSectionBreak(slide, context, slideData) {
+    const x = SLIDE_WIDTH * 0.2;
+    const w = SLIDE_WIDTH * 0.6;
+
+    slide.addText(slideData.content?.number || '01', this.textOptions(context, {
+      x, y: SLIDE_HEIGHT * 0.22, w, h: 1.6,
+      valign: 'bottom',
+      fontFace: context.fonts.heading,
+      fontSize: 8 * REM,
+      bold: true
+    }));
+    slide.addText(String(slideData.content?.title || 'Section Title').toUpperCase(), this.textOptions(context, {
+      x, y: SLIDE_HEIGHT * 0.22 + 1.8, w, h: 1.6,
+      fontFace: context.fonts.heading,
+      fontSize: 3 * REM,
+      bold: true,
+      charSpacing: 2
+    }));
+  }
+
+  addText(slide, context, slideData, align) {
+    this.addSlideTitle(slide, context, slideData, align);
+
+    const box = align === 'left' ?
+      { x: SLIDE_WIDTH * 0.15, y: SLIDE_HEIGHT * 0.2, w: SLIDE_WIDTH * 0.35, h: SLIDE_HEIGHT * 0.65 } :
+      { x: SLIDE_WIDTH * 0.15, y: SLIDE_HEIGHT * 0.2, w: SLIDE_WIDTH * 0.7, h: SLIDE_HEIGHT * 0.65 };
+
+    this.addRichText(slide, context, slideData.content?.text, box, {
+      block: true,
+      align,
+      valign: 'middle',
+      fontSize: 1.5 * REM,
+      lineSpacingMultiple: 1.3
+    });
+  }
+
+  addImageFull(slide, context, slideData) {
+    if (!slideData.content?.image) {
+      return this.addText(slide, context, { ...slideData, content: { text: 'No image specified' } }, 'center');
+    }
+
+    this.addImage(slide, context, slideData.content.image, { x: 0, y: 0, w: SLIDE_WIDTH, h: SLIDE_HEIGHT }, 'cover');
+    this.addSlideTitle(slide, context, slideData);
+  }
+
+  addImageSingle(slide, context, slideData) {
+    if (!slideData.content?.image) {
+      return this.addText(slide, context, { ...slideData, content: { text: 'No image specified' } }, 'center');
+    }
+
+    this.addSlideTitle(slide, context, slideData);
+    this.addImage(slide, context, slideData.content.image, { x: SLIDE_WIDTH * 0.15, y: SLIDE_HEIGHT * 0.2, w: SLIDE_WIDTH * 0.7, h: SLIDE_HEIGHT * 0.68 });
+  }
+
+  addImageHorizontal2(slide, context, slideData) {
+    this.addSlideTitle(slide, context, slideData);
+
+    const gap = 0.4;
+    const w = (SLIDE_WIDTH * 0.8 - gap) / 2;
+    const y = SLIDE_HEIGHT * 0.2;
+    const h = SLIDE_HEIGHT * 0.68;
+
+    this.addImage(slide, context, slideData.content?.image1, { x: SLIDE_WIDTH * 0.1, y, w, h });
+    this.addImage(slide, context, slideData.content?.image2, { x: SLIDE_WIDTH * 0.1 + w + gap, y, w, h });
+  }
+
+  addImage2x2(slide, context, slideData) {
+    this.addSlideTitle(slide, context, slideData);
+
+    const gap = 0.2;
+    const left = SLIDE_WIDTH * 0.2;
+    const top = SLIDE_HEIGHT * 0.18;
+    const w = (SLIDE_WIDTH * 0.6 - gap) / 2;
+    const h = (SLIDE_HEIGHT * 0.76 - gap) / 2;
+
+    ['image1', 'image2', 'image3', 'image4'].forEach((field, index) => {
+      const column = index % 2;
+      const row = Math.floor(index / 2);
+      this.addImage(slide, context, slideData.content?.[field], { x: left + column * (w + gap), y: top + row * (h + gap), w, h });
+    });
+  }
+
+  addImageTextHorizontal(slide, context, slideData) {
+    if (!slideData.content?.image) {
+      return this.addText(slide, context, { ...slideData, content: { text: slideData.content?.text || '' } }, 'left');
+    }
+
+    this.addSlideTitle(slide, context, slideData);
+    this.addImage(slide, context, slideData.content.image, { x: SLIDE_WIDTH * 0.08, y: SLIDE_HEIGHT * 0.2, w: SLIDE_WIDTH * 0.42, h: SLIDE_HEIGHT * 0.68 });
+    this.addRichText(slide, context, slideData.content.text, { x: SLIDE_WIDTH * 0.55, y: SLIDE_HEIGHT * 0.2, w: SLIDE_WIDTH * 0.37, h: SLIDE_HEIGHT * 0.68 }, {
+      block: true,
+      valign: 'middle',
+      fontSize: 1.4 * REM,
+      lineSpacingMultiple: 1.3
+    });
+  }
+
+  addImageTextVertical(slide, context, slideData) {
+    if (!slideData.content?.image) {
+      return this.addText(slide, context, { ...slideData, content: { text: slideData.content?.text || '' } }, 'center');
+    }
+
+    this.addSlideTitle(slide, context, slideData);
+    this.addImage(slide, context, slideData.content.image, { x: SLIDE_WIDTH * 0.15, y: SLIDE_HEIGHT * 0.18, w: SLIDE_WIDTH * 0.7, h: SLIDE_HEIGHT * 0.5 });
+    this.addRichText(slide, context, slideData.content.text, { x: SLIDE_WIDTH * 0.15, y: SLIDE_HEIGHT * 0.71, w: SLIDE_WIDTH * 0.7, h: SLIDE_HEIGHT * 0.22 }, {
+      block: true,
+      align: 'center',
+      fontSize: 1.4 * REM,
+      lineSpacingMultiple: 1.3
+    });
+  }
+
+  addList(slide, context, slideData, numbered) {
+    this.addSlideTitle(slide, context, slideData, 'left');
+
+    const items = slideData.content?.items || [];
+    if (items.length === 0) return;
+
+    // Same breakpoint as the HTML list layouts
+    const columns = items.length >= 6 ? [items.slice(0, Math.ceil(items.length / 2)), items.slice(Math.ceil(items.length / 2))] : [items];
+    const left = SLIDE_WIDTH * 0.15;
+    const gap = 0.5;
+    const w = (SLIDE_WIDTH * 0.75 - gap * (columns.length - 1)) / columns.length;
+    let number = 1;
+
+    columns.forEach((columnItems, columnIndex) => {
+      const paragraphs = [];
+      const columnStart = number;
+
+      columnItems.forEach(item => {
+        const runs = htmlToTextRuns(renderRichText(item), context.fonts);
+        if (runs.length === 0) runs.push({ text: '', options: {} });
+
+        // Bullet options apply to the first run of each paragraph. PowerPoint counts on from
+        // the start number shared by consecutive paragraphs, so a column shares one start
+        runs[0].options.bullet = numbered ?
+          { type: 'number', numberStartAt: columnStart } :
+          { characterCode: '25CF', indent: 1.2 * REM };
+        runs[runs.length - 1].options.breakLine = true;
+        paragraphs.push(...runs);
+        number++;
+      });
+      delete paragraphs[paragraphs.length - 1].options.breakLine;
+
+      slide.addText(paragraphs, this.textOptions(context, {
+        x: left + columnIndex * (w + gap),
+        y: SLIDE_HEIGHT * 0.22,
+        w,
+        h: SLIDE_HEIGHT * 0.66,
+        valign: 'middle',
+        fontSize: 1.4 * REM,
+        lineSpacingMultiple: 1.2,
+        paraSpaceAfter: 0.6 * REM
+      }));
+    });
+  }
+
+  addCards(slide, context, slideData) {
+    this.addSlideTitle(slide, context, slideData);
+
+    const count = slideData.type === 'card-3' ? 3 : 2;
+    const cards = slideData.content?.cards || [];
+    const gap = 0.5;
+    const w = count === 3 ? 3.4 : 4.6;
+    const left = (SLIDE_WIDTH - (count * w + (count - 1) * gap)) / 2;
+    const y = SLIDE_HEIGHT * 0.25;
+    const h = SLIDE_HEIGHT * 0.55;
+    const padding = 0.35;
+
+    for (let index = 0; index < count; index++) {
+      const card = cards[index] || {};
+      const x = left + index * (w + gap);
+      let cursor = y + padding;
+
+      slide.addShape('rect', {
+        x, y, w, h,
+        fill: { color: context.colors.card },
+        line: { color: context.colors.cardBorder, width: 1 }
+      });
+
+      if (card.image) {
+        const size = count === 3 ? 0.75 : 0.85;
+        this.addImage(slide, context, card.image, { x: x + (w - size) / 2, y: cursor, w: size, h: size }, 'cover', false);
+        cursor += size + 0.25;
+
+        // Card images are thumbnails - their caption goes below, as in the HTML
+        const caption = formatCaption(card.image);
+        if (caption) {
+          this.addRichText(slide, context, caption, { x: x + padding, y: cursor - 0.15, w: w - padding * 2, h: 0.35 }, {
+            align: 'center',
+            color: context.colors.text,
+            fontSize: 0.8 * REM
+          });
+          cursor += 0.3;
+        }
+      }
+
+      if (card.title) {
+        slide.addText(card.title, this.textOptions(context, {
+          x: x + padding, y: cursor, w: w - padding * 2, h: 0.7,
+          align: 'center',
+          valign: 'middle',
+          fontFace: context.fonts.heading,
+          fontSize: (count === 3 ? 1.6 : 1.8) * REM,
+          bold: true
+        }));
+        cursor += 0.8;
+      }
+
+      const description = card.description || card.text;
+      if (description) {
+        this.addRichText(slide, context, description, { x: x + padding, y: cursor, w: w - padding * 2, h: y + h - padding - cursor }, {
+          align: 'center',
+          fontSize: (count === 3 ? 1 : 1.1) * REM,
+          lineSpacingMultiple: 1.3
+        });
+      }
+    }
+  }
+
+  addTimeline(slide, context, slideData) {
+    this.addSlideTitle(slide, context, slideData);
+
+    const events = slideData.content?.events || [];
+    if (events.length === 0) return;
+
+    const left = 0.8;
+    const width = SLIDE_WIDTH - left * 2;
+    const lineY = SLIDE_HEIGHT * 0.45;
+    const slotWidth = width / events.length;
+    const nodeSize = 0.22;
+
+    slide.addShape('line', {
+      x: left, y: lineY, w: width, h: 0,
+      line: { color: context.colors.accent, width: 2 }
+    });
+
+    events.forEach((item, index) => {
+      const event = getTimelineEvent(item);
+      const x = left + index * slotWidth;
+      const center = x + slotWidth / 2;
+
+      slide.addShape('ellipse', {
+        x: center - nodeSize / 2, y: lineY - nodeSize / 2, w: nodeSize, h: nodeSize,
+        fill: { color: context.colors.accent },
+        line: { color: context.colors.background, width: 3 }
+      });
+
+      slide.addText(event.time, this.textOptions(context, {
+        x: x + 0.1, y: lineY - 0.9, w: slotWidth - 0.2, h: 0.6,
+        align: 'center',
+        valign: 'bottom',
+        fontSize: 1.1 * REM,
+        bold: true
+      }));
+
+      const runs = [];
+      if (event.title) {
+        runs.push({ text: event.title, options: { fontFace: context.fonts.heading, fontSize: 1.4 * REM, bold: true, breakLine: true, paraSpaceAfter: 0.4 * REM } });
+      }
+      runs.push(...htmlToTextRuns(renderRichText(event.description), context.fonts)
+        .map(run => ({ ...run, options: { fontSize: REM, ...run.options } })));
+
+      if (runs.length > 0) {
+        delete runs[runs.length - 1].options.breakLine;
+        slide.addText(runs, this.textOptions(context, {
+          x: x + 0.1, y: lineY + 0.35, w: slotWidth - 0.2, h: SLIDE_HEIGHT - lineY - 1.1,
+          align: 'center'
+        }));
+      }
+    });
+  }
+}
+
+module.exports = PptxExporter;
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const PreGenBuilder = require('./build');
+const { escapeHtml, decodeEntities } = require('./rich-text');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.pdf': 'application/pdf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+// Injected into served deck pages only - built files stay free of dev tooling
+const LIVE_RELOAD_CLIENT = `
+<script>
+(() => {
+    // Slide previews inside the presenter view reload with their parent page
+    if (window.top !== window) return;
+
+    const deck = location.pathname.split('/').filter(Boolean)[0] || '';
+    const storageKey = 'pregen-preview-slide:' + deck;
+
+    // Restore the slide the viewer was on before the reload
+    const savedSlide = sessionStorage.getItem(storageKey);
+    if (savedSlide !== null) {
+        sessionStorage.removeItem(storageKey);
+        document.addEventListener('DOMContentLoaded', () => {
+            if (window.presentationNavigator) {
+                window.presentationNavigator.scrollToSlide(parseInt(savedSlide, 10), 'instant');
+            }
+        });
+    }
+
+    const source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('reload', (event) => {
+        if (event.data && event.data !== deck) return;
+        const navigator = window.presentationNavigator;
+        sessionStorage.setItem(storageKey, navigator ? navigator.currentSlide : 0);
+        location.reload();
+    });
+})();
+</script>
+`;
+
+class PreviewServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} [options.port] - Port to listen on (0 picks a free port)
+   * @param {string} [options.rootDir] - Directory with built presentations
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 3000;
+    this.rootDir = options.rootDir || path.join(__dirname, 'presentations');
+    this.clients = new Set();
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(`❌ Error serving ${req.url}:`, error.message);
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        }
+        res.end('Internal Server Error');
+      });
+    });
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<void>}
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        console.log(`🌐 Preview server running at http://localhost:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server and disconnect live-reload clients
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Push a reload event to connected browsers
+   * @param {string} [deckName] - Only reload pages of this deck (all pages when omitted)
+   */
+  notifyReload(deckName = '') {
+    if (this.clients.size === 0) return;
+
+    this.clients.forEach(client => {
+      client.write(`event: reload\ndata: ${deckName}\n\n`);
+    });
+    console.log(`🔄 Reloaded ${this.clients.size} browser connection(s)${deckName ? ` for ${deckName}` : ''}`);
+  }
+
+  async handleRequest(req, res) {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      // Malformed percent-encoding, e.g. /%E0%A4%A
+      return this.sendBadRequest(res);
+    }
+
+    if (urlPath === LIVE_RELOAD_PATH) {
+      return this.handleLiveReload(req, res);
+    }
+
+    if (urlPath === '/') {
+      return this.sendIndexPage(res);
+    }
+
+    // Reject anything resolving outside the presentations directory
+    const filePath = path.join(this.rootDir, urlPath);
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      return this.sendNotFound(res);
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      return this.sendNotFound(res);
+    }
+
+    const stats = await fs.stat(filePath);
+    if (stats.isDirectory()) {
+      // Relative asset paths only resolve with a trailing slash
+      if (!urlPath.endsWith('/')) {
+        res.writeHead(301, { Location: `${urlPath}/` });
+        return res.end();
+      }
+
+      const indexPath = path.join(filePath, 'index.html');
+      if (!(await fs.pathExists(indexPath))) {
+        return this.sendNotFound(res);
+      }
+      return this.sendFile(res, indexPath);
+    }
+
+    return this.sendFile(res, filePath);
+  }
+
+  handleLiveReload(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  async sendFile(res, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+    let body = await fs.readFile(filePath);
+
+    if (ext === '.html') {
+      const html = body.toString('utf8');
+      body = html.includes('</body>') ?
+        html.replace('</body>', `${LIVE_RELOAD_CLIENT}</body>`) :
+        html + LIVE_RELOAD_CLIENT;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  }
+
+  sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
+  }
+
+  sendBadRequest(res) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad Request');
+  }
+
+  /**
+   * List every built deck in the presentations directory
+   * @returns {Promise<Array>} Decks with name and title
+   */
+  async getDecks() {
+    if (!(await fs.pathExists(this.rootDir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    const decks = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const indexPath = path.join(this.rootDir, entry.name, 'index.html');
+      if (!(await fs.pathExists(indexPath))) continue;
+
+      const html = await fs.readFile(indexPath, 'utf8');
+      const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/);
+      const stats = await fs.stat(indexPath);
+
+      decks.push({
+        name: entry.name,
+        // The title is read back from HTML, so it is decoded here and escaped again on output
+        title: titleMatch ? decodeEntities(titleMatch[1].trim()) : entry.name,
+        builtAt: stats.mtime
+      });
+    }
+
+    return decks.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async sendIndexPage(res) {
+    const decks = await this.getDecks();
+
+    const deckItems = decks.map(deck => `
+            <li>
+                <a href="/${encodeURIComponent(deck.name)}/">
+                    <span class="deck-title">${escapeHtml(deck.title)}</span>
+                    <span class="deck-meta">${escapeHtml(deck.name)} · built ${deck.builtAt.toLocaleString()}</span>
+                </a>
+            </li>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>PreGen-Minimal Presentations</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #FFFFFF; color: #050505; padding: 10% 15%; }
+        h1 { font-size: 3rem; font-weight: 700; margin-bottom: 3rem; }
+        ul { list-style: none; }
+        li { border-top: 1px solid rgba(5, 5, 5, 0.1); }
+        a { display: block; padding: 1.5rem 0; color: inherit; text-decoration: none; }
+        a:hover .deck-title { text-decoration: underline; }
+        .deck-title { display: block; font-size: 1.5rem; font-weight: 600; }
+        .deck-meta { display: block; font-size: 0.9rem; opacity: 0.6; margin-top: 0.25rem; }
+        .empty { font-size: 1.2rem; opacity: 0.6; }
+    </style>
+</head>
+<body>
+    <h1>Presentations</h1>
+    ${decks.length > 0 ?
+      `<ul>${deckItems}
+    </ul>` :
+      '<p class="empty">No built presentations yet. Add a YAML file to content/ and run "npm run build".</p>'}
+</body>
+</html>`;
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES['.html'],
+      'Cache-Control': 'no-store'
+    });
+    res.end(html + LIVE_RELOAD_CLIENT);
+  }
+}
+
+// Start the preview server, rebuilding and reloading on change unless --no-watch is given
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : parseInt(process.env.PORT, 10) || 3000;
+
+  const server = new PreviewServer({ port });
+
+  server.listen()
+    .then(() => {
+      if (args.includes('--no-watch')) return;
+
+      const builder = new PreGenBuilder();
+      builder.on('event', event => {
+        if (event.type === 'deck:built') server.notifyReload(event.deck);
+      });
+      return builder.watch();
+    })
+    .catch(error => {
+      console.error('❌ Preview server failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = PreviewServer;
@@ -0,0 +1,327 @@
+/**
+ * Rich Text Rendering
+ *
+ * Every text value from YAML is HTML-escaped by default. Plain strings in body
+ * text fields are rendered as a safe inline Markdown subset (bold, italics,
+ * strikethrough, inline code, links and line breaks), with blank lines starting
+ * new paragraphs in block text. Body text fields may also opt into a controlled
+ * subset of inline markup by using the object form `{ html: "..." }`, which is
+ * sanitized against an allowlist of inline tags.
+ */
+
+// Inline tags allowed in { html } rich text, with the attributes each may keep
+const ALLOWED_TAGS = {
+  b: [],
+  strong: [],
+  i: [],
+  em: [],
+  u: [],
+  s: [],
+  mark: [],
+  small: [],
+  sub: [],
+  sup: [],
+  code: [],
+  kbd: [],
+  br: [],
+  span: [],
+  a: ['href', 'title']
+};
+
+const VOID_TAGS = new Set(['br']);
+
+// Tags whose text content is dropped together with the tag itself
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript']);
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:|#|\/|\.\/|\.\.\/|[^:]*$)/i;
+
+/**
+ * Escape text for use in HTML element content
+ * @param {*} value - Value to escape (non-strings are stringified, null/undefined become '')
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for use in a double-quoted HTML attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped attribute value
+ */
+function escapeAttribute(value) {
+  return escapeHtml(value);
+}
+
+/**
+ * Escape markup characters in text while keeping existing character entities
+ * @param {string} text - Text segment from { html } rich text
+ * @returns {string} Escaped text
+ */
+function escapeTextKeepingEntities(text) {
+  return text
+    .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Check whether a URL is safe to emit in an href attribute
+ * @param {string} url - URL from rich text
+ * @returns {boolean} True for http(s), mailto, tel, fragment and relative URLs
+ */
+function isSafeUrl(url) {
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const normalized = url.replace(/[\u0000-\u0020\u007F]/g, '');
+  return SAFE_URL_PATTERN.test(normalized);
+}
+
+/**
+ * Parse the attribute string of a tag into name/value pairs
+ * @param {string} source - Raw attribute source, e.g. ' href="x" title=y'
+ * @returns {Object} Attribute values keyed by lower-case name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[name] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+/**
+ * Decode the character entities that commonly appear in attribute values
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-fA-F]+);?/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Sanitize inline HTML against the tag allowlist.
+ * Disallowed tags are removed (their text is kept, except for script-like tags),
+ * disallowed attributes and unsafe URLs are dropped, and open tags are closed.
+ * @param {string} html - Untrusted inline HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeInlineHtml(html) {
+  const source = String(html ?? '');
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  const openTags = [];
+  let output = '';
+  let dropUntil = null;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const text = source.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+
+    if (!dropUntil) {
+      output += escapeTextKeepingEntities(text);
+    }
+
+    // Comments are always removed
+    if (!match[2]) continue;
+
+    const isClosing = match[1] === '/';
+    const tagName = match[2].toLowerCase();
+
+    if (dropUntil) {
+      if (isClosing && tagName === dropUntil) {
+        dropUntil = null;
+      }
+      continue;
+    }
+
+    if (DROP_CONTENT_TAGS.has(tagName)) {
+      if (!isClosing && !/\/\s*$/.test(match[3])) {
+        dropUntil = tagName;
+      }
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tagName)) {
+      continue;
+    }
+
+    if (isClosing) {
+      const openIndex = openTags.lastIndexOf(tagName);
+      if (openIndex === -1) continue; // Stray closing tag
+
+      // Close anything opened inside this tag to keep nesting valid
+      while (openTags.length > openIndex) {
+        output += `</${openTags.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(match[3]);
+    const keptAttributes = ALLOWED_TAGS[tagName]
+      .filter(name => attributes[name] !== undefined)
+      .filter(name => name !== 'href' || isSafeUrl(attributes[name]))
+      .map(name => ` ${name}="${escapeAttribute(attributes[name])}"`);
+
+    // Links open outside the deck and never get access to the opener
+    if (tagName === 'a' && keptAttributes.some(attr => attr.startsWith(' href='))) {
+      keptAttributes.push(' target="_blank"', ' rel="noopener noreferrer"');
+    }
+
+    output += `<${tagName}${keptAttributes.join('')}>`;
+
+    if (!VOID_TAGS.has(tagName)) {
+      openTags.push(tagName);
+    }
+  }
+
+  if (!dropUntil) {
+    output += escapeTextKeepingEntities(source.slice(lastIndex));
+  }
+
+  while (openTags.length > 0) {
+    output += `</${openTags.pop()}>`;
+  }
+
+  return output;
+}
+
+/**
+ * Render the inline Markdown subset to safe HTML.
+ * Supports **bold**, __bold__, *italic*, _italic_, ~~strike~~, `code`,
+ * [label](url "title"), backslash escapes and newlines as line breaks.
+ * @param {string} text - Markdown text from YAML
+ * @returns {string} Safe HTML
+ */
+function renderInlineMarkdown(text) {
+  // Finished HTML fragments are swapped for placeholders so later rules cannot touch them
+  const fragments = [];
+  const protect = html => `\u0000${fragments.push(html) - 1}\u0000`;
+
+  let html = String(text ?? '').replace(/\u0000/g, '');
+
+  // Backslash escapes, e.g. \* for a literal asterisk
+  html = html.replace(/\\([\\`*_{}\[\]()#+\-.!~|<>])/g, (_, char) => protect(escapeHtml(char)));
+
+  // Code spans keep their content verbatim
+  html = html.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => protect(`<code>${escapeHtml(code.trim())}</code>`));
+
+  html = escapeHtml(html);
+
+  // Links - unsafe URLs keep only their label. URLs may contain balanced parentheses, e.g. Foo_(bar)
+  html = html.replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (_, label, url, title) => {
+    const href = decodeEntities(url);
+    if (!isSafeUrl(href)) {
+      return label;
+    }
+    const titleAttribute = title ? ` title="${title}"` : '';
+    return `${protect(`<a href="${escapeAttribute(href)}"${titleAttribute} target="_blank" rel="noopener noreferrer">`)}${label}${protect('</a>')}`;
+  });
+
+  html = html
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<s>$1</s>');
+
+  html = html.trim().replace(/[ \t]*\r?\n[ \t]*/g, '<br>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => fragments[Number(index)]);
+}
+
+/**
+ * Render Markdown block text - blank lines separate paragraphs
+ * @param {string} text - Markdown text from YAML
+ * @returns {string} Safe HTML with one <p> per paragraph
+ */
+function renderMarkdownBlock(text) {
+  return String(text ?? '')
+    .split(/\r?\n[ \t]*\r?\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph !== '')
+    .map(paragraph => `<p>${renderInlineMarkdown(paragraph)}</p>`)
+    .join('\n');
+}
+
+/**
+ * Check whether a value uses the { html } rich text form
+ * @param {*} value - Text field value
+ * @returns {boolean}
+ */
+function isRichText(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.html === 'string';
+}
+
+/**
+ * Render an inline text field value (list item, card or timeline text) to safe HTML.
+ * Plain strings are inline Markdown; { html } values are sanitized inline markup.
+ * @param {string|Object} value - Text field value from YAML
+ * @returns {string} Safe HTML
+ */
+function renderRichText(value) {
+  if (isRichText(value)) {
+    return sanitizeInlineHtml(value.html);
+  }
+
+  return renderInlineMarkdown(value);
+}
+
+/**
+ * Render a block text field value (content.text) to safe HTML paragraphs
+ * @param {string|Object} value - Text field value from YAML
+ * @returns {string} Safe HTML
+ */
+function renderRichTextBlock(value) {
+  if (isRichText(value)) {
+    return `<p>${sanitizeInlineHtml(value.html)}</p>`;
+  }
+
+  return renderMarkdownBlock(value);
+}
+
+/**
+ * Get the plain text of a text field value (markup stripped), for length and emptiness checks
+ * @param {string|Object} value - Text field value from YAML
+ * @returns {string} Plain text
+ */
+function toPlainText(value) {
+  const html = isRichText(value) ? sanitizeInlineHtml(value.html) : renderInlineMarkdown(value);
+  return decodeEntities(html.replace(/<br>/g, '\n').replace(/<[^>]*>/g, ''));
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  escapeHtml,
+  escapeAttribute,
+  decodeEntities,
+  sanitizeInlineHtml,
+  renderInlineMarkdown,
+  renderMarkdownBlock,
+  isRichText,
+  renderRichText,
+  renderRichTextBlock,
+  toPlainText
+};
@@ -0,0 +1,66 @@
+/**
+ * AI Generator Validation Tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateYAMLStructure, createYamlSchema } = require('../ai-generator');
+
+const SLIDE = {
+  type: 'text-center',
+  title: { visible: true, text: 'Hello' },
+  subtitle: { visible: false, text: '' },
+  content: { text: 'World' }
+};
+
+describe('AI output validation', () => {
+  let themePath;
+
+  before(async () => {
+    const themesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pregen-ai-'));
+    themePath = path.join(themesDir, 'brand.yaml');
+    await fs.outputFile(themePath, yaml.dump({
+      name: 'Brand',
+      variants: {
+        light: { mode: 'light', background: '#FFFFFF', text: '#111111' },
+        dark: { mode: 'dark', background: '#000000', text: '#FFFFFF' }
+      }
+    }));
+  });
+
+  after(async () => {
+    await fs.remove(path.dirname(themePath));
+  });
+
+  it('accepts a deck the build accepts', () => {
+    const result = validateYAMLStructure({ title: 'Deck', author: 'AI', slides: [{ ...SLIDE, style: 'white' }] });
+    assert.strictEqual(result.valid, true, JSON.stringify(result.errors));
+  });
+
+  it('rejects fields the build schema does not know', () => {
+    const result = validateYAMLStructure({
+      title: 'Deck',
+      slides: [{ ...SLIDE, style: 'white', content: { text: 'World', subtitle: 'Extra' } }]
+    });
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.ruleId), ['schema/additionalProperties']);
+  });
+
+  it('checks styles against the variants of the deck theme', () => {
+    const valid = validateYAMLStructure({ title: 'Deck', slides: [{ ...SLIDE, style: 'dark' }] }, { theme: themePath });
+    assert.strictEqual(valid.valid, true, JSON.stringify(valid.errors));
+
+    const invalid = validateYAMLStructure({ title: 'Deck', slides: [{ ...SLIDE, style: 'black' }] }, { theme: themePath });
+    assert.strictEqual(invalid.valid, false);
+    assert.deepStrictEqual(invalid.errors.map(error => error.ruleId), ['schema/enum']);
+  });
+
+  it('offers the theme variants as styles in structured output', () => {
+    const schema = createYamlSchema(['light', 'dark']);
+    assert.deepStrictEqual(schema.properties.slides.items.anyOf[0].properties.style.enum, ['light', 'dark']);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Build Cache Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createManifest, isUnchanged } = require('../build-cache');
+
+const INPUTS = {
+  yamlContent: 'title: Deck\n',
+  theme: { name: 'default' },
+  assets: { 'input/photo.png': 'abc' },
+  singleFile: false
+};
+
+describe('build cache', () => {
+  it('keeps a deck built with the same inputs and builder', () => {
+    assert.ok(isUnchanged(createManifest(INPUTS), createManifest(INPUTS)));
+  });
+
+  it('rebuilds a deck built by other builder sources with the same version', () => {
+    const previous = { ...createManifest(INPUTS), builder: 'other builder sources' };
+    assert.ok(!isUnchanged(previous, createManifest(INPUTS)));
+  });
+
+  it('rebuilds a deck whose manifest predates the builder hash', () => {
+    const { builder, ...previous } = createManifest(INPUTS);
+    assert.ok(!isUnchanged(previous, createManifest(INPUTS)));
+  });
+});
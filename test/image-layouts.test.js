@@ -0,0 +1,191 @@
+/**
+ * Image Layout Regression Tests
+ *
+ * Builds one deck per image layout into a temporary directory and checks that every
+ * <img src> and <source srcset> URL in the written HTML resolves to a file of the deck.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const sharp = require('sharp');
+const { PreGenBuilder } = require('../build');
+
+const PHOTO = { src: 'input/photo.png', alt: 'Landscape photo' };
+const PORTRAIT = { src: 'input/portrait.jpg', alt: 'Portrait photo', fit: 'contain', focus: [50, 20] };
+const CROPPED = { src: 'input/photo.png', alt: 'Cropped photo', crop: { x: 10, y: 10, width: 50, height: 80 } };
+const CAPTIONED = { src: 'input/portrait.jpg', alt: 'Captioned photo', caption: 'A caption', credit: 'Photo: Test' };
+const DUPLICATE = { src: 'input/copy/photo.png', alt: 'Same content as the landscape photo', caption: 'A copy' };
+
+// One deck per layout; decks mix plain paths, image objects, crops, captions and missing images
+const LAYOUT_DECKS = {
+  'image-full': [{ image: 'input/photo.png' }],
+  'image-1': [{ image: CROPPED }],
+  'image-horizontal-2': [{ image1: PHOTO, image2: DUPLICATE }],
+  'image-2x2': [{ image1: PHOTO, image2: PORTRAIT, image3: CROPPED, image4: 'input/missing.png' }],
+  'image-text-horizontal': [{ image: CAPTIONED, text: 'Image left, text right' }],
+  'image-text-vertical': [{ image: PORTRAIT, text: 'Image top, text bottom' }],
+  'card-2': [{ cards: [{ image: PHOTO, title: 'One' }, { image: CAPTIONED, title: 'Two' }] }],
+  'card-3': [{ cards: [{ image: CROPPED, title: 'One' }, { title: 'Two' }, { image: 'input/missing.png', title: 'Three' }] }]
+};
+
+/**
+ * Create a deck with one slide per content object
+ * @param {string} type - Slide layout
+ * @param {Array<Object>} contents - Slide contents
+ * @returns {string} Deck YAML
+ */
+function createDeck(type, contents) {
+  return yaml.dump({
+    title: `${type} deck`,
+    author: 'Test',
+    slides: contents.map(content => ({
+      type,
+      style: 'white',
+      title: { visible: true, text: type },
+      subtitle: { visible: false, text: '' },
+      content
+    }))
+  });
+}
+
+/**
+ * List the image URLs of an HTML page: every src and every srcset candidate
+ * @param {string} html - HTML document
+ * @returns {Array<string>} URLs
+ */
+function getImageUrls(html) {
+  const urls = [];
+  for (const [, src] of html.matchAll(/<img\b[^>]*?\ssrc="([^"]*)"/g)) {
+    urls.push(src);
+  }
+  for (const [, srcset] of html.matchAll(/\ssrcset="([^"]*)"/g)) {
+    urls.push(...srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]));
+  }
+  return urls;
+}
+
+/**
+ * Assert that every image URL of a built deck resolves to a file of the deck
+ * @param {string} deckDir - Built deck directory
+ * @returns {Promise<Array<string>>} The checked URLs
+ */
+async function assertImagesResolve(deckDir) {
+  const html = await fs.readFile(path.join(deckDir, 'index.html'), 'utf8');
+  const urls = getImageUrls(html);
+
+  for (const url of urls) {
+    assert.ok(url, `empty image URL in ${deckDir}`);
+    if (url.startsWith('data:')) continue;
+    assert.ok(
+      await fs.pathExists(path.join(deckDir, url)),
+      `${path.basename(deckDir)}/index.html loads ${url}, which does not exist`
+    );
+  }
+
+  return urls;
+}
+
+describe('image layouts', () => {
+  let rootDir;
+
+  before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pregen-test-'));
+    await fs.ensureDir(path.join(rootDir, 'input'));
+    await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } })
+      .png()
+      .toFile(path.join(rootDir, 'input', 'photo.png'));
+    await sharp({ create: { width: 600, height: 900, channels: 3, background: '#996633' } })
+      .jpeg()
+      .toFile(path.join(rootDir, 'input', 'portrait.jpg'));
+    await fs.copy(path.join(rootDir, 'input', 'photo.png'), path.join(rootDir, 'input', 'copy', 'photo.png'));
+
+    for (const [type, contents] of Object.entries(LAYOUT_DECKS)) {
+      await fs.outputFile(path.join(rootDir, 'content', `${type}.yaml`), createDeck(type, contents));
+    }
+  });
+
+  after(async () => {
+    await fs.remove(rootDir);
+  });
+
+  let events;
+
+  it('resolves every image of every layout', async () => {
+    const builder = new PreGenBuilder({ rootDir, concurrency: 1, silent: true });
+    events = [];
+    builder.on('event', event => events.push(event));
+    await builder.build();
+
+    for (const type of Object.keys(LAYOUT_DECKS)) {
+      const urls = await assertImagesResolve(path.join(rootDir, 'presentations', type));
+      assert.ok(urls.some(url => url.startsWith('assets/')), `${type} loads no images from assets/`);
+    }
+  });
+
+  it('lists resized variants for raster images', async () => {
+    const html = await fs.readFile(path.join(rootDir, 'presentations', 'image-full', 'index.html'), 'utf8');
+    assert.match(html, /<source type="image\/avif" srcset="[^"]+"/);
+    assert.match(html, /<source type="image\/webp" srcset="[^"]+"/);
+  });
+
+  it('copies cropped images at the size of their crop', async () => {
+    const deckDir = path.join(rootDir, 'presentations', 'image-1');
+    const html = await fs.readFile(path.join(deckDir, 'index.html'), 'utf8');
+    const [, src] = html.match(/<img src="(assets\/[^"]+)" alt="Cropped photo"/);
+    const { width, height } = await sharp(path.join(deckDir, src)).metadata();
+    // 50% x 80% of the 1200x800 photo
+    assert.deepStrictEqual({ width, height }, { width: 600, height: 640 });
+
+    // In-memory single-file rendering crops while inlining the source
+    const builder = new PreGenBuilder({ rootDir, silent: true });
+    const result = await builder.renderPresentation({ title: 'Crop', author: 'Test', slides: [{ type: 'image-1', content: { image: CROPPED } }] }, { singleFile: true });
+    const [, data] = result.html.match(/<img src="data:image\/png;base64,([^"]+)"/);
+    const inlined = await sharp(Buffer.from(data, 'base64')).metadata();
+    assert.deepStrictEqual({ width: inlined.width, height: inlined.height }, { width: 600, height: 640 });
+  });
+
+  it('writes the variants of images with the same content once', () => {
+    const variantEvents = events.filter(event => event.type === 'asset:variants' && event.deck === 'image-horizontal-2');
+    assert.strictEqual(variantEvents.length, 1);
+    assert.deepStrictEqual(variantEvents[0].refs, ['input/photo.png', 'input/copy/photo.png']);
+  });
+
+  it('inlines every image of single-file decks', async () => {
+    const outputDir = path.join(rootDir, 'single-file');
+    const builder = new PreGenBuilder({ rootDir, outputDir, singleFile: true, concurrency: 1, silent: true });
+    await builder.build();
+
+    for (const type of Object.keys(LAYOUT_DECKS)) {
+      const urls = await assertImagesResolve(path.join(outputDir, type));
+      assert.ok(urls.length > 0, `${type} has no images`);
+      assert.ok(urls.every(url => url.startsWith('data:')), `${type} loads images that are not inlined`);
+    }
+  });
+
+  it('keeps the images of decks rendered concurrently apart', async () => {
+    const builder = new PreGenBuilder({ rootDir, silent: true });
+    const decks = [
+      { type: 'image-1', content: { image: PHOTO } },
+      { type: 'image-1', content: { image: PORTRAIT } },
+      { type: 'card-2', content: { cards: [{ image: CROPPED, title: 'One' }, { image: DUPLICATE, title: 'Two' }] } }
+    ];
+    const render = singleFile => Promise.all(decks.map((slide, index) => builder.renderPresentation({
+      title: `Deck ${index}`,
+      author: 'Test',
+      slides: [{ ...slide, style: 'white' }]
+    }, { name: `deck-${index}`, singleFile })));
+
+    for (const result of await render(false)) {
+      assert.deepStrictEqual(getImageUrls(result.html).sort(), result.assets.map(asset => asset.path).sort());
+    }
+    for (const result of await render(true)) {
+      const urls = getImageUrls(result.html);
+      assert.strictEqual(urls.length, result.assets.length);
+      assert.ok(urls.every(url => url.startsWith('data:')), `${result.presentationData.presentation.title} loads images that are not inlined`);
+    }
+  });
+});
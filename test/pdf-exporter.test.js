@@ -0,0 +1,21 @@
+/**
+ * PDF Export Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { countPdfPages } = require('../pdf-exporter');
+
+describe('PDF page count', () => {
+  it('counts page objects, not the page tree', () => {
+    const pdf = Buffer.from([
+      '%PDF-1.4',
+      '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+      '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj',
+      '3 0 obj << /Type /Page /Parent 2 0 R >> endobj',
+      '4 0 obj <</Type/Page/Parent 2 0 R>> endobj',
+      '%%EOF'
+    ].join('\n'), 'latin1');
+    assert.strictEqual(countPdfPages(pdf), 2);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * PowerPoint Export Tests
+ */
+
+const { describe, it } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert');
+const PptxExporter = require('../pptx-exporter');
+const { loadTheme } = require('../themes');
+
+/**
+ * Create the slide context the exporter passes to its layouts
+ * @param {Function} [resolveImage] - Maps an image source to a file
+ * @returns {Object} Slide context of a white slide
+ */
+function createContext(resolveImage = () => null) {
+  const exporter = new PptxExporter();
+  const theme = loadTheme();
+  return {
+    theme,
+    resolveImage,
+    fonts: { body: 'Arial', heading: 'Arial', monospace: 'Courier New' },
+    colors: exporter.getVariantColors(theme, 'white'),
+    warnings: []
+  };
+}
+
+/**
+ * Record the text a layout places on a slide
+ * @param {string} method - Exporter method adding the layout
+ * @param {Object} slideData - Slide data
+ * @returns {Array<string>} Text of every text box, runs joined
+ */
+function renderSlideText(method, slideData) {
+  const exporter = new PptxExporter();
+  const texts = [];
+  const slide = {
+    addText: text => texts.push(Array.isArray(text) ? text.map(run => run.text).join('') : text),
+    addShape: () => {},
+    addImage: () => {}
+  };
+  exporter[method](slide, createContext(), slideData);
+  return texts;
+}
+
+describe('PowerPoint timeline', () => {
+  it('shows a label as the time only, never as the title', () => {
+    const texts = renderSlideText('addTimeline', {
+      type: 'timeline',
+      content: { events: [{ label: '2024', description: 'Launch' }] }
+    });
+    assert.deepStrictEqual(texts, ['2024', 'Launch']);
+  });
+
+  it('shows the time, title and description text alias of an event', () => {
+    const texts = renderSlideText('addTimeline', {
+      type: 'timeline',
+      content: { events: [{ time: 'Q1', title: 'Beta', text: 'First users' }] }
+    });
+    assert.deepStrictEqual(texts, ['Q1', 'BetaFirst users']);
+  });
+});
+
+describe('PowerPoint images', () => {
+  it('returns a warning for an unreadable image instead of logging it', async () => {
+    const imagePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'pregen-test-')), 'broken.png');
+    await fs.writeFile(imagePath, 'not an image');
+    const context = createContext(() => imagePath);
+    const texts = [];
+    const slide = { addText: text => texts.push(text), addImage: () => assert.fail('unreadable image placed') };
+
+    try {
+      new PptxExporter().addImage(slide, context, 'input/broken.png', { x: 0, y: 0, w: 4, h: 3 });
+    } finally {
+      await fs.remove(path.dirname(imagePath));
+    }
+
+    assert.deepStrictEqual(texts, ['No Image']);
+    assert.strictEqual(context.warnings.length, 1);
+    assert.match(context.warnings[0], /^Skipped unreadable image .*broken\.png/);
+  });
+});
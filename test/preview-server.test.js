@@ -0,0 +1,79 @@
+/**
+ * Preview Server Tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PreviewServer = require('../preview-server');
+
+/**
+ * Send a GET request with a raw path
+ * @param {number} port - Server port
+ * @param {string} requestPath - Path sent as is, without URL normalization
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function get(port, requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path: requestPath }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('preview server', () => {
+  let rootDir;
+  let server;
+  let port;
+
+  before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pregen-preview-'));
+    await fs.outputFile(
+      path.join(rootDir, 'deck', 'index.html'),
+      '<html><head><title>Q&amp;A &lt;live&gt;</title></head><body>Slides</body></html>'
+    );
+    server = new PreviewServer({ port: 0, rootDir });
+    await server.listen();
+    port = server.server.address().port;
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.remove(rootDir);
+  });
+
+  it('lists decks with their titles escaped', async () => {
+    const { status, body } = await get(port, '/');
+    assert.strictEqual(status, 200);
+    assert.match(body, /<span class="deck-title">Q&amp;A &lt;live&gt;<\/span>/);
+  });
+
+  it('redirects deck folders to their trailing slash URL', async () => {
+    const { status, headers } = await get(port, '/deck');
+    assert.strictEqual(status, 301);
+    assert.strictEqual(headers.location, '/deck/');
+  });
+
+  it('serves deck pages with the live reload client', async () => {
+    const { status, body } = await get(port, '/deck/');
+    assert.strictEqual(status, 200);
+    assert.match(body, /Slides/);
+    assert.match(body, /__livereload/);
+  });
+
+  it('answers malformed URLs with 400', async () => {
+    const { status } = await get(port, '/%E0%A4%A');
+    assert.strictEqual(status, 400);
+  });
+
+  it('never serves files outside the presentations directory', async () => {
+    const { status } = await get(port, '/..%2f..%2fetc%2fpasswd');
+    assert.strictEqual(status, 404);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Rich Text Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderInlineMarkdown } = require('../rich-text');
+
+describe('inline Markdown links', () => {
+  it('keeps balanced parentheses in URLs', () => {
+    assert.strictEqual(
+      renderInlineMarkdown('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)) end'),
+      '<a href="https://en.wikipedia.org/wiki/Foo_(bar)" target="_blank" rel="noopener noreferrer">Foo</a> end'
+    );
+  });
+
+  it('drops unsafe URLs with parentheses entirely', () => {
+    assert.strictEqual(renderInlineMarkdown('[link](javascript:alert(1))'), 'link');
+  });
+
+  it('ends the URL at the closing parenthesis of the link', () => {
+    assert.strictEqual(
+      renderInlineMarkdown('(see [a](https://example.com "Title"))'),
+      '(see <a href="https://example.com" title="Title" target="_blank" rel="noopener noreferrer">a</a>)'
+    );
+  });
+});
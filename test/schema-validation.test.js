@@ -0,0 +1,82 @@
+/**
+ * Schema Validation Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PreGenBuilder } = require('../build');
+const { ValidationError } = require('../errors');
+
+/**
+ * Validate a deck with one slide against the schema
+ * @param {Object} slide - Slide data
+ * @returns {Array<Object>} Error diagnostics
+ */
+function validateSlide(slide) {
+  const builder = new PreGenBuilder({ silent: true });
+  return builder.validateYamlSchema({ title: 'Deck', author: 'Test', date: '2024-01-01', slides: [slide] }, 'deck.yaml').errors;
+}
+
+describe('schema validation', () => {
+  it('reports a wrongly typed rich text value once', () => {
+    const errors = validateSlide({ type: 'list', content: { items: ['a', 3] } });
+    assert.deepStrictEqual(errors.map(error => [error.ruleId, error.message]), [
+      ['schema/type', '"content.items[1]" must be text or { html }']
+    ]);
+  });
+
+  it('reports a wrongly typed image value once', () => {
+    const errors = validateSlide({ type: 'image-1', content: { image: 5 } });
+    assert.deepStrictEqual(errors.map(error => [error.ruleId, error.message]), [
+      ['schema/type', '"content.image" must be text or { src }']
+    ]);
+  });
+
+  it('reports only the errors inside the object form', () => {
+    const errors = validateSlide({ type: 'list', content: { items: [{ html: 'x', extra: 1 }] } });
+    assert.deepStrictEqual(errors.map(error => [error.ruleId, error.message]), [
+      ['schema/additionalProperties', 'Unknown field "content.items[0].extra"']
+    ]);
+  });
+});
+
+/**
+ * Validate the content of a deck with one image slide
+ * @param {string|Object} image - Image field value
+ * @returns {Array<Object>} Error diagnostics, empty when the deck is valid
+ */
+function validateImage(image) {
+  const builder = new PreGenBuilder({ silent: true });
+  try {
+    const presentationData = builder.normalizePresentation({ title: 'Deck', author: 'Test', slides: [{ type: 'image-1', content: { image } }] }, 'deck');
+    builder.validatePresentationData(presentationData, 'deck');
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ValidationError, error.message);
+    return error.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  }
+}
+
+describe('image crop validation', () => {
+  it('accepts a crop inside the image', () => {
+    assert.deepStrictEqual(validateImage({ src: 'input/photo.png', alt: '', crop: { x: 10, y: 10, width: 80, height: 90 } }), []);
+  });
+
+  it('fails a crop extending past the image', () => {
+    const errors = validateImage({ src: 'input/photo.png', alt: '', crop: { x: 50, y: 50, width: 80, height: 80 } });
+    assert.deepStrictEqual(errors.map(error => [error.ruleId, error.path]), [
+      ['content/image-crop', ['slides', 0, 'content', 'image', 'crop']]
+    ]);
+  });
+
+  it('fails a crop suffix in a path instead of applying it', () => {
+    const errors = [
+      ...validateImage('input/photo.png#crop=50,50,80,80'),
+      ...validateImage({ src: 'input/photo.png#crop=0,0,10,10', alt: '' })
+    ];
+    assert.deepStrictEqual(errors.map(error => [error.ruleId, error.path]), [
+      ['content/image-crop', ['slides', 0, 'content', 'image']],
+      ['content/image-crop', ['slides', 0, 'content', 'image', 'src']]
+    ]);
+  });
+});
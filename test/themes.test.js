@@ -0,0 +1,72 @@
+/**
+ * Theme Tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadTheme, generateThemeCSS } = require('../themes');
+const { ValidationError } = require('../errors');
+const { PreGenBuilder } = require('../build');
+
+const THEME = {
+  name: 'Test',
+  variants: {
+    list: { mode: 'light', background: '#FFFFFF', text: '#111111' },
+    active: { mode: 'dark', background: '#000000', text: '#FFFFFF' }
+  }
+};
+
+describe('themes', () => {
+  let themesDir;
+
+  /**
+   * Write a theme file
+   * @param {string} name - Theme name
+   * @param {Object} data - Theme data
+   * @returns {Promise<string>} Theme file path
+   */
+  const writeTheme = async (name, data) => {
+    const themePath = path.join(themesDir, `${name}.yaml`);
+    await fs.outputFile(themePath, yaml.dump(data));
+    return themePath;
+  };
+
+  before(async () => {
+    themesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pregen-themes-'));
+  });
+
+  after(async () => {
+    await fs.remove(themesDir);
+  });
+
+  it('namespaces variant classes so they never match layout or state classes', async () => {
+    await writeTheme('clash', THEME);
+    const theme = loadTheme('clash', themesDir);
+
+    const css = generateThemeCSS(theme);
+    assert.match(css, /\.slide-container\.variant-list \{/);
+    assert.doesNotMatch(css, /\.slide-container\.list\b/);
+
+    const builder = new PreGenBuilder({ themesDir, silent: true });
+    const { html } = await builder.renderPresentation({
+      title: 'Deck',
+      author: 'Test',
+      theme: 'clash',
+      slides: [{ type: 'list', style: 'active', content: { items: ['One'] } }]
+    });
+    assert.match(html, /class="slide-container variant-active list-layout"/);
+  });
+
+  it('rejects theme CSS that closes its style element', async () => {
+    await writeTheme('unsafe', {
+      ...THEME,
+      layouts: { list: { css: '.list-layout { color: red; }</STYLE><script>alert(1)</script>' } }
+    });
+    assert.throws(() => loadTheme('unsafe', themesDir), error =>
+      error instanceof ValidationError && /layouts\.list\.css/.test(error.message));
+  });
+});
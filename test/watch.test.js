@@ -0,0 +1,46 @@
+/**
+ * Watch Mode Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PreGenBuilder } = require('../build');
+
+/**
+ * Wait for the debounce timer and the queued rebuild
+ * @returns {Promise<void>}
+ */
+function waitForRebuild() {
+  return new Promise(resolve => setTimeout(resolve, 200));
+}
+
+describe('watch rebuild queue', () => {
+  it('keeps rebuilding after a rebuild fails', async () => {
+    const builder = new PreGenBuilder({ silent: true });
+    builder.pendingRebuilds = new Map();
+    builder.rebuildQueue = Promise.resolve();
+
+    const events = [];
+    builder.on('event', event => events.push(event));
+
+    const rebuilt = [];
+    builder.rebuildDeck = async yamlFilePath => {
+      if (rebuilt.length === 0) {
+        rebuilt.push(null);
+        throw new Error('watcher failed');
+      }
+      rebuilt.push(yamlFilePath);
+    };
+
+    builder.scheduleRebuild('/decks/first.yaml');
+    await waitForRebuild();
+    builder.scheduleRebuild('/decks/second.yaml');
+    await waitForRebuild();
+    await builder.rebuildQueue;
+
+    assert.deepStrictEqual(rebuilt, [null, '/decks/second.yaml']);
+    const failure = events.find(event => event.type === 'watch:error');
+    assert.strictEqual(failure.deck, 'first');
+    assert.match(failure.message, /watcher failed/);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Theme System
+ *
+ * Themes are YAML files (themes/<name>.yaml) defining the palette, fonts, accent
+ * color, logo and per-layout overrides of a deck. Decks select a theme with a
+ * top-level `theme:` key; slides pick one of the theme's variants with `style:`.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { LAYOUT_TYPES } = require('./layouts');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_THEME = 'default';
+const THEMES_DIR = path.join(__dirname, 'themes');
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const colorSchema = { type: 'string', minLength: 1 };
+
+const THEME_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    fonts: {
+      type: 'object',
+      properties: {
+        body: { type: 'string' },
+        heading: { type: 'string' },
+        monospace: { type: 'string' },
+        stylesheet: { type: 'string', description: 'URL of a font stylesheet, e.g. Google Fonts' }
+      },
+      additionalProperties: false
+    },
+    accent: colorSchema,
+    logo: {
+      type: 'object',
+      properties: {
+        src: { type: 'string', minLength: 1 },
+        alt: { type: 'string' },
+        position: { enum: LOGO_POSITIONS },
+        height: { type: 'string' }
+      },
+      required: ['src'],
+      additionalProperties: false
+    },
+    variants: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[a-zA-Z][a-zA-Z0-9_-]*$' },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          mode: { enum: ['light', 'dark'] },
+          background: colorSchema,
+          text: colorSchema,
+          accent: colorSchema
+        },
+        required: ['mode', 'background', 'text'],
+        additionalProperties: false
+      }
+    },
+    defaultVariant: { type: 'string' },
+    layouts: {
+      type: 'object',
+      propertyNames: { enum: LAYOUT_TYPES },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          variant: { type: 'string' },
+          logo: { type: 'boolean', description: 'Show the theme logo on this layout' },
+          css: { type: 'string', description: 'Extra CSS for this layout' }
+        },
+        additionalProperties: false
+      }
+    },
+    css: { type: 'string', description: 'Extra CSS for the whole deck' }
+  },
+  required: ['variants'],
+  additionalProperties: false
+};
+
+let themeValidator = null;
+
+/**
+ * Check whether a theme reference is a path to a theme file rather than a theme name
+ * @param {string} themeRef - Theme name or path
+ * @returns {boolean} True for .yaml/.yml paths
+ */
+function isThemePath(themeRef) {
+  return /\.ya?ml$/.test(themeRef);
+}
+
+/**
+ * Resolve a theme reference to its file path
+ * @param {string} themeRef - Theme name (themes/<name>.yaml) or path to a theme YAML file
+ * @param {string} themesDir - Directory holding named themes
+ * @param {string} [baseDir] - Directory relative theme paths resolve from, e.g. the deck's directory
+ * @returns {string} Absolute theme file path
+ */
+function resolveThemePath(themeRef, themesDir = THEMES_DIR, baseDir = process.cwd()) {
+  if (isThemePath(themeRef)) {
+    return path.resolve(baseDir, themeRef);
+  }
+  return path.join(themesDir, `${themeRef}.yaml`);
+}
+
+/**
+ * Load, validate and normalize a theme.
+ * Synchronous so YAML parsing and schema validation can check styles against the theme.
+ * @param {string} [themeRef] - Theme name or path (defaults to the default theme)
+ * @param {string} [themesDir] - Directory holding named themes
+ * @param {string} [baseDir] - Directory relative theme paths resolve from
+ * @returns {Object} Normalized theme
+ */
+function loadTheme(themeRef = DEFAULT_THEME, themesDir = THEMES_DIR, baseDir = process.cwd()) {
+  const themePath = resolveThemePath(themeRef, themesDir, baseDir);
+
+  if (!fs.existsSync(themePath)) {
+    throw new ValidationError(`Theme not found: "${themeRef}" (${themePath})`);
+  }
+
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(themePath, 'utf8'), { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new ValidationError(`Theme YAML parsing failed: ${themePath} - ${error.reason || error.message}`);
+  }
+
+  if (!themeValidator) {
+    themeValidator = new Ajv({ allErrors: true }).compile(THEME_SCHEMA);
+  }
+
+  if (!themeValidator(data)) {
+    const details = themeValidator.errors
+      .map(error => `  • ${error.instancePath || '/'} ${error.message}`)
+      .join('\n');
+    throw new ValidationError(`Theme validation failed for ${themePath}:\n${details}`);
+  }
+
+  const variantNames = Object.keys(data.variants);
+  const defaultVariant = data.defaultVariant || variantNames[0];
+  const layouts = data.layouts || {};
+
+  // Variants referenced elsewhere in the theme must exist
+  const unknownVariants = [
+    defaultVariant,
+    ...Object.values(layouts).map(layout => layout.variant).filter(Boolean)
+  ].filter(variant => !variantNames.includes(variant));
+  if (unknownVariants.length > 0) {
+    throw new ValidationError(`Theme ${themePath} references undeclared variant(s): ${[...new Set(unknownVariants)].join(', ')}. Declared variants: ${variantNames.join(', ')}`);
+  }
+
+  // Theme CSS is inlined into a <style> element, which a closing tag would end early
+  const unsafeCss = [
+    ['css', data.css],
+    ...Object.entries(layouts).map(([type, layout]) => [`layouts.${type}.css`, layout.css])
+  ].filter(([, css]) => /<\/style/i.test(css || '')).map(([field]) => field);
+  if (unsafeCss.length > 0) {
+    throw new ValidationError(`Theme ${themePath} has "</style" in ${unsafeCss.join(', ')} - theme CSS cannot close its <style> element`);
+  }
+
+  return {
+    id: themeRef,
+    path: themePath,
+    name: data.name || themeRef,
+    fonts: {
+      body: data.fonts?.body || "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+      heading: data.fonts?.heading || data.fonts?.body || "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+      monospace: data.fonts?.monospace || "'SF Mono', Menlo, Consolas, monospace",
+      stylesheet: data.fonts?.stylesheet || null
+    },
+    accent: data.accent || null,
+    // Logo paths are relative to the theme file
+    logo: data.logo ? {
+      src: path.isAbsolute(data.logo.src) ? data.logo.src : path.resolve(path.dirname(themePath), data.logo.src),
+      alt: data.logo.alt || data.name || '',
+      position: data.logo.position || 'top-right',
+      height: data.logo.height || '2.5rem'
+    } : null,
+    variants: data.variants,
+    variantNames,
+    defaultVariant,
+    layouts,
+    css: data.css || ''
+  };
+}
+
+/**
+ * Resolve the variant a slide renders with
+ * @param {Object} slide - Slide data
+ * @param {Object} theme - Normalized theme
+ * @returns {string} Variant name
+ */
+function resolveSlideVariant(slide, theme) {
+  return slide.style || theme.layouts[slide.type]?.variant || theme.defaultVariant;
+}
+
+/**
+ * Get the class of a theme variant on slide containers. Variant names are prefixed so they
+ * never collide with layout or state classes such as "list" or "active".
+ * @param {string} name - Variant name
+ * @returns {string} Class name, e.g. "variant-dark"
+ */
+function variantClass(name) {
+  return `variant-${name}`;
+}
+
+/**
+ * Check whether the theme logo is shown on a layout
+ * @param {string} type - Slide layout type
+ * @param {Object} theme - Normalized theme
+ * @returns {boolean}
+ */
+function showsLogo(type, theme) {
+  return Boolean(theme.logo) && theme.layouts[type]?.logo !== false;
+}
+
+/**
+ * Generate the theme CSS: font and color variables, variant classes, logo and overrides
+ * @param {Object} theme - Normalized theme
+ * @returns {string} CSS
+ */
+function generateThemeCSS(theme) {
+  const variantCss = theme.variantNames.map(name => {
+    const variant = theme.variants[name];
+    return `
+.slide-container.${variantClass(name)} {
+    --theme-background: ${variant.background};
+    --theme-text: ${variant.text};
+    --theme-accent: ${variant.accent || theme.accent || variant.text};
+    background-color: var(--theme-background);
+    color: var(--theme-text);
+}`;
+  }).join('\n');
+
+  const logoCss = theme.logo ? `
+/* Theme Logo */
+.theme-logo {
+    position: absolute;
+    height: ${theme.logo.height};
+    width: auto;
+    z-index: 20;
+    pointer-events: none;
+}
+
+.theme-logo.top-left { top: 2rem; left: 2rem; }
+.theme-logo.top-right { top: 2rem; right: 2rem; }
+.theme-logo.bottom-left { bottom: 2rem; left: 2rem; }
+.theme-logo.bottom-right { bottom: 2rem; right: 2rem; }
+` : '';
+
+  const layoutCss = Object.entries(theme.layouts)
+    .filter(([, layout]) => layout.css)
+    .map(([type, layout]) => `/* Theme override: ${type} */\n${layout.css}`)
+    .join('\n\n');
+
+  return `
+/* Theme: ${theme.name} */
+:root {
+    --theme-font-body: ${theme.fonts.body};
+    --theme-font-heading: ${theme.fonts.heading};
+    --theme-font-monospace: ${theme.fonts.monospace};
+}
+
+.title,
+.subtitle,
+.slide-title,
+.section-number,
+.section-title,
+.card-title,
+.timeline-event-title {
+    font-family: var(--theme-font-heading);
+}
+${variantCss}
+${logoCss}
+${layoutCss}
+${theme.css}
+`;
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  THEMES_DIR,
+  THEME_SCHEMA,
+  loadTheme,
+  isThemePath,
+  resolveThemePath,
+  resolveSlideVariant,
+  variantClass,
+  showsLogo,
+  generateThemeCSS
+};